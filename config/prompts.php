@@ -217,7 +217,7 @@ I have retrieved the following relevant passages from this book to help answer q
 
 Instructions:
 1. Answer questions based PRIMARILY on the retrieved passages above
-2. If the passages contain relevant information, cite them in your answer
+2. If the passages contain relevant information, cite them in your answer with the passage number in square brackets, e.g. [1] or [2][3]
 3. If the passages don\'t contain enough information, you may supplement with your general knowledge, but clearly indicate this
 4. Use markdown formatting for better readability
 5. Be accurate and avoid making up information not in the text
@@ -234,7 +234,31 @@ Note: No relevant passages were found in the book for this query. Please:
 1. Try to answer based on your general knowledge of the book (if known)
 2. Clearly indicate that this is not based on the book\'s actual text
 3. Suggest the user try rephrasing their question if needed',
-        
+
+        // 多本书问答 (片段按书分组，全局编号)
+        'multi_system' => 'You are a knowledgeable book analysis assistant. {book_info}
+I have retrieved the following relevant passages from these books, grouped by book:
+
+{context}
+
+Instructions:
+1. Answer questions based PRIMARILY on the retrieved passages above
+2. Cite passages with their number in square brackets, e.g. [1] or [2][5]
+3. When the books treat the question differently, compare them and make clear which book each point comes from
+4. If a book has no retrieved passages, you may use your general knowledge of it, but clearly indicate this
+5. Use markdown formatting for better readability
+6. Respond in the user\'s language (Chinese if asked in Chinese)',
+        'multi_book_header' => "=== {title} ===\n",
+        'multi_book_no_context' => "(No passages retrieved from this book.)\n\n",
+
+        // 全文 / Context Cache 问答附带的检索片段 (拼在用户问题前，编号供 [n] 引用)
+        'passages_question' => 'I have retrieved the following relevant passages from this book:
+
+{context}
+Cite these passages in your answer with the passage number in square brackets, e.g. [1] or [2][3].
+
+Question: {question}',
+
         // 预定义操作 (参考 library 和 viewer 模式)
         'actions' => [
             'summarize' => [
@@ -147,37 +147,49 @@ class AsyncGeminiClient
     ): void {
         $functionResponses = [];
         $model = $options['model'] ?? $this->model;
+        // 结构化工具事件回调 function(string $event, array $payload)，未提供时以引用行的形式写入正文
+        $onToolEvent = $options['onToolEvent'] ?? null;
         
-        foreach ($functionCalls as $fc) {
+        foreach ($functionCalls as $i => $fc) {
             $name = $fc['name'];
             $args = $fc['args'];
+            $callId = uniqid('call_') . "_{$i}";
+            $startTime = microtime(true);
             
             // 通知前端工具开始执行
-            $onChunk("\n> 🔧 执行工具: `{$name}`\n", false);
+            if ($onToolEvent) {
+                $onToolEvent('tool_call', ['id' => $callId, 'name' => $name, 'args' => $args]);
+            } else {
+                $onChunk("\n> 🔧 执行工具: `{$name}`\n", false);
+            }
             
             // 执行工具
             try {
                 $result = ToolManager::execute($name, $args);
-                
-                $functionResponses[] = [
-                    'name' => $name,
-                    'args' => $args,
-                    'result' => $result,
-                ];
-                
-                // 显示执行结果简要信息
-                if (isset($result['error'])) {
-                    $onChunk("> ❌ 工具执行失败: {$result['error']}\n\n", false);
-                } else {
-                    $onChunk("> ✅ 工具执行成功\n\n", false);
-                }
             } catch (\Exception $e) {
-                $onChunk("> ❌ 工具异常: {$e->getMessage()}\n\n", false);
-                $functionResponses[] = [
+                $result = ['error' => $e->getMessage()];
+            }
+            
+            $functionResponses[] = [
+                'name' => $name,
+                'args' => $args,
+                'result' => $result,
+            ];
+            
+            // 显示执行结果
+            if ($onToolEvent) {
+                $onToolEvent('tool_result', [
+                    'id' => $callId,
                     'name' => $name,
-                    'args' => $args,
-                    'result' => ['error' => $e->getMessage()],
-                ];
+                    'duration' => (int)round((microtime(true) - $startTime) * 1000),
+                    'error' => $result['error'] ?? null,
+                    'result' => isset($result['error']) ? null : ($result['result'] ?? $result),
+                    'content' => $result['content'] ?? null,
+                ]);
+            } elseif (isset($result['error'])) {
+                $onChunk("> ❌ 工具执行失败: {$result['error']}\n\n", false);
+            } else {
+                $onChunk("> ✅ 工具执行成功\n\n", false);
             }
         }
         
@@ -71,6 +71,8 @@ class BookHandler
                     'author' => $author,
                     'format' => strtoupper($ext),
                     'fileSize' => self::formatFileSize($fileSize),
+                    'size' => $fileSize,
+                    'addedAt' => filemtime($filePath),
                     'hasIndex' => $hasIndex,
                     'indexSize' => $hasIndex ? self::formatFileSize($indexSize) : null,
                     'chunkCount' => $chunkCount,
@@ -235,7 +237,7 @@ class BookHandler
             }
             
             $file = $files['file'];
-            $originalName = $file['name'];
+            $originalName = basename($file['name']);
             $tmpPath = $file['tmp_name'];
             $ext = strtolower(pathinfo($originalName, PATHINFO_EXTENSION));
             
@@ -272,6 +274,19 @@ class BookHandler
                 return ['success' => false, 'error' => '临时文件不存在'];
             }
             
+            // 内容相同的书籍已以其他文件名存在
+            $duplicate = self::findDuplicateBook($tmpPath, $ext);
+            if ($duplicate !== null) {
+                Logger::info("📚 书籍内容已存在: {$originalName} = {$duplicate}");
+                @unlink($tmpPath);
+                return [
+                    'success' => true,
+                    'message' => '相同内容的书籍已存在',
+                    'file' => $duplicate,
+                    'existed' => true
+                ];
+            }
+            
             // 检查临时文件是否可读
             if (!is_readable($tmpPath)) {
                 Logger::error("❌ 临时文件不可读: {$tmpPath}");
@@ -313,14 +328,37 @@ class BookHandler
         }
     }
     
+    /**
+     * 查找与上传文件内容相同的书籍（先比较大小，再比较 MD5）
+     */
+    private static function findDuplicateBook(string $tmpPath, string $ext): ?string
+    {
+        $size = filesize($tmpPath);
+        $md5 = null;
+        
+        foreach (glob(BOOKS_DIR . '/*.' . $ext) ?: [] as $path) {
+            if (filesize($path) !== $size) continue;
+            
+            $md5 ??= md5_file($tmpPath);
+            if (md5_file($path) === $md5) {
+                return basename($path);
+            }
+        }
+        
+        return null;
+    }
+    
     /**
      * 为书籍创建向量索引（SSE 流式返回进度）
+     * 
+     * 已有索引时直接跳过，除非 force 为真（重新索引，完成后覆盖原索引）
      */
     public static function indexBook(Context $ctx): ?array
     {
         $connection = $ctx->connection();
         $body = $ctx->jsonBody() ?? [];
         $bookFile = $body['book'] ?? '';
+        $force = !empty($body['force']);
         
         if (empty($bookFile)) {
             return ['error' => 'Missing book parameter'];
@@ -339,6 +377,17 @@ class BookHandler
         $headers = ['Content-Type' => 'text/event-stream', 'Cache-Control' => 'no-cache', 'Access-Control-Allow-Origin' => '*'];
         $connection->send(new Response(200, $headers, ''));
         
+        // 排队期间可能已被索引（如其他页面）
+        if (!$force && file_exists($indexPath)) {
+            StreamHelper::sendSSE($connection, 'done', json_encode([
+                'success' => true,
+                'book' => $bookFile,
+                'message' => '已有索引，已跳过'
+            ]));
+            $connection->close();
+            return null;
+        }
+        
         try {
             StreamHelper::sendSSE($connection, 'progress', json_encode(['step' => 'start', 'message' => "开始处理: {$baseName}"]));
             
@@ -376,13 +425,19 @@ class BookHandler
                 
                 $currentBatch = floor($i / $batchSize) + 1;
                 $progress = round(($currentBatch / $totalBatches) * 100);
-                StreamHelper::sendSSE($connection, 'progress', json_encode([
+                $sent = StreamHelper::sendSSE($connection, 'progress', json_encode([
                     'step' => 'embed_batch', 
                     'batch' => $currentBatch, 
                     'total' => $totalBatches,
                     'progress' => $progress,
                     'message' => "向量化进度: {$currentBatch}/{$totalBatches} ({$progress}%)"
                 ]));
+                
+                // 客户端取消索引（断开连接）后停止，保留原有索引
+                if (!$sent) {
+                    Logger::info("⏹️ 索引已取消: {$bookFile}");
+                    return null;
+                }
             }
             
             StreamHelper::sendSSE($connection, 'progress', json_encode(['step' => 'save', 'message' => '正在保存索引...']));
@@ -404,7 +459,102 @@ class BookHandler
         $connection->close();
         return null;
     }
-    
+
+    /**
+     * 获取书籍正文（阅读器使用）
+     *
+     * EPUB 按 spine 顺序返回各章节的 HTML，TXT 按章节标题行（第 N 章/回/节）切分为段落 HTML
+     */
+    public static function getBookContent(Context $ctx): array
+    {
+        $bookFile = basename((string)$ctx->query('book', ''));
+
+        if (empty($bookFile)) {
+            return ['error' => 'Missing book parameter'];
+        }
+
+        $bookPath = BOOKS_DIR . '/' . $bookFile;
+        $ext = strtolower(pathinfo($bookFile, PATHINFO_EXTENSION));
+
+        if (!in_array($ext, ['epub', 'txt']) || !file_exists($bookPath)) {
+            return ['error' => 'Book not found: ' . $bookFile];
+        }
+
+        $title = pathinfo($bookFile, PATHINFO_FILENAME);
+        $author = '';
+
+        if ($ext === 'epub') {
+            $metadata = \SmartBook\Parser\EpubParser::extractMetadata($bookPath);
+            $title = $metadata['title'] ?? $title;
+            $author = $metadata['authors'] ?? '';
+            $chapters = \SmartBook\Parser\EpubParser::extractChapters($bookPath);
+        } else {
+            $chapters = self::splitTextChapters(file_get_contents($bookPath));
+        }
+
+        return [
+            'book' => $bookFile,
+            'title' => $title,
+            'author' => $author,
+            'format' => strtoupper($ext),
+            'chapters' => $chapters,
+        ];
+    }
+
+    /**
+     * 获取索引中的分块原文（阅读器定位引用来源）
+     */
+    public static function getChunk(Context $ctx): array
+    {
+        $bookFile = basename((string)$ctx->query('book', ''));
+        $chunkId = (int)$ctx->query('chunk', -1);
+
+        $baseName = pathinfo($bookFile, PATHINFO_FILENAME);
+        $indexPath = BOOKS_DIR . '/' . $baseName . '_index.json';
+
+        if (empty($bookFile) || !file_exists($indexPath)) {
+            return ['error' => 'Index not found: ' . $bookFile];
+        }
+
+        $indexData = json_decode(file_get_contents($indexPath), true);
+        foreach ($indexData['chunks'] ?? [] as $chunk) {
+            if (($chunk['id'] ?? null) === $chunkId) {
+                return ['book' => $bookFile, 'chunk' => $chunkId, 'text' => $chunk['text']];
+            }
+        }
+
+        return ['error' => "Chunk not found: {$chunkId}"];
+    }
+
+    /**
+     * 将 TXT 正文按章节标题行切分，没有章节标题时每 50 段为一节
+     */
+    private static function splitTextChapters(string $text): array
+    {
+        $paragraphs = array_values(array_filter(array_map('trim', preg_split('/\R/u', $text)), fn($line) => $line !== ''));
+        $headingPattern = '/^(第[0-9０-９零〇一二两三四五六七八九十百千]+[章回节卷]|Chapter\s+\d+)/iu';
+        $hasHeadings = (bool)preg_grep($headingPattern, $paragraphs);
+
+        $chapters = [];
+        $current = null;
+        foreach ($paragraphs as $i => $line) {
+            $isHeading = $hasHeadings && mb_strlen($line) <= 50 && preg_match($headingPattern, $line);
+            if ($isHeading || $current === null || (!$hasHeadings && $i % 50 === 0)) {
+                if ($current) $chapters[] = $current;
+                $current = [
+                    'title' => $isHeading ? $line : '第 ' . (count($chapters) + 1) . ' 节',
+                    'href' => '',
+                    'html' => '',
+                ];
+            }
+            $escaped = htmlspecialchars($line, ENT_QUOTES, 'UTF-8');
+            $current['html'] .= $isHeading ? "<h2>{$escaped}</h2>\n" : "<p>{$escaped}</p>\n";
+        }
+        if ($current) $chapters[] = $current;
+
+        return $chapters;
+    }
+
     /**
      * 格式化文件大小
      */
@@ -131,7 +131,14 @@ class ChatHandler
                         StreamHelper::sendSSE($connection, 'error', $error);
                         $connection->close();
                     },
-                    ['enableSearch' => $enableSearch && $engine === 'google', 'enableTools' => $engine === 'mcp']
+                    [
+                        'enableSearch' => $enableSearch && $engine === 'google',
+                        'enableTools' => $engine === 'mcp',
+                        'onToolEvent' => function ($event, $payload) use ($connection, &$isConnectionAlive) {
+                            if (!$isConnectionAlive) return;
+                            StreamHelper::sendSSE($connection, $event, json_encode($payload, JSON_UNESCAPED_UNICODE));
+                        },
+                    ]
                 );
             };
             
@@ -170,7 +177,11 @@ class ChatHandler
      */
     public static function streamChat(Context $ctx): ?array
     {
-        $connection = $ctx->connection();
+        // 断线重连：带 Last-Event-ID 的请求接上原来的流
+        if (ResumableStream::resume($ctx)) {
+            return null;
+        }
+        
         $body = $ctx->jsonBody() ?? [];
         $message = $body['message'] ?? '';
         $chatId = $body['chat_id'] ?? '';
@@ -198,14 +209,12 @@ class ChatHandler
         $clientSummary = $body['summary'] ?? null;
         $clientHistory = $body['history'] ?? null;
         
-        $headers = ['Content-Type' => 'text/event-stream', 'Cache-Control' => 'no-cache', 'Access-Control-Allow-Origin' => '*'];
-        
         if ($clientSummary !== null || $clientHistory !== null) {
-            $connection->send(new Response(200, $headers, ''));
+            $stream = ResumableStream::open($ctx);
             
             $prompts = $GLOBALS['config']['prompts'];
             $sourceTexts = $prompts['source_texts'] ?? ['google' => 'AI 预训练知识 + Google Search', 'mcp' => 'AI 预训练知识 + MCP 工具', 'off' => 'AI 预训练知识（搜索已关闭）'];
-            StreamHelper::sendSSE($connection, 'sources', json_encode([['text' => $sourceTexts[$engine] ?? $sourceTexts['off'], 'score' => 100]], JSON_UNESCAPED_UNICODE));
+            $stream->send('sources', json_encode([['text' => $sourceTexts[$engine] ?? $sourceTexts['off'], 'score' => 100]], JSON_UNESCAPED_UNICODE));
             
             // 根据助手类型获取系统提示词
             $systemPrompt = self::getSystemPromptForAssistant($assistantId, $prompts);
@@ -214,7 +223,7 @@ class ChatHandler
             if ($clientSummary) {
                 $historyLabel = $prompts['summarize']['history_label'] ?? '【对话历史摘要】';
                 $messages[0]['content'] .= "\n\n{$historyLabel}\n" . $clientSummary;
-                StreamHelper::sendSSE($connection, 'summary_used', json_encode(['source' => 'ios_client', 'has_summary' => true], JSON_UNESCAPED_UNICODE));
+                $stream->send('summary_used', json_encode(['source' => 'ios_client', 'has_summary' => true], JSON_UNESCAPED_UNICODE));
             }
             
             if (is_array($clientHistory)) {
@@ -233,22 +242,29 @@ class ChatHandler
             
             $asyncGemini = AIService::getAsyncGemini($model);
             $isConnectionAlive = true;
+            $requestId = null;
+            // 客户端停止生成或断线超时：中止上游请求，不再保存回答
+            $stream->onCancel(function () use (&$isConnectionAlive, &$requestId, $asyncGemini) {
+                $isConnectionAlive = false;
+                if ($requestId) $asyncGemini->cancel($requestId);
+            });
+            
             $requestId = $asyncGemini->chatStreamAsync(
                 $messages,
-                function ($text, $isThought) use ($connection, &$isConnectionAlive, &$requestId, $asyncGemini) {
+                function ($text, $isThought) use ($stream, &$isConnectionAlive, &$requestId, $asyncGemini) {
                     if (!$isConnectionAlive) return;
                     if ($text) {
-                        if (!StreamHelper::sendSSE($connection, $isThought ? 'thinking' : 'content', $text)) {
+                        if (!$stream->send($isThought ? 'thinking' : 'content', $text)) {
                             $isConnectionAlive = false;
                             if ($requestId) $asyncGemini->cancel($requestId);
                         }
                     }
                 },
-                function ($fullContent, $usageMetadata = null, $usedModel = null) use ($connection, $model, &$isConnectionAlive) {
+                function ($fullContent, $usageMetadata = null, $usedModel = null) use ($stream, $model, &$isConnectionAlive) {
                     if (!$isConnectionAlive) return;
                     if ($usageMetadata) {
                         $costInfo = TokenCounter::calculateCost($usageMetadata, $usedModel ?? $model);
-                        StreamHelper::sendSSE($connection, 'usage', json_encode([
+                        $stream->send('usage', json_encode([
                             'tokens' => $costInfo['tokens'], 
                             'cost' => $costInfo['cost'], 
                             'cost_formatted' => TokenCounter::formatCost($costInfo['cost']), 
@@ -256,26 +272,33 @@ class ChatHandler
                             'model' => $usedModel ?? $model
                         ], JSON_UNESCAPED_UNICODE));
                     }
-                    StreamHelper::sendSSE($connection, 'done', ''); 
-                    $connection->close(); 
+                    $stream->send('done', ''); 
+                    $stream->close(); 
                 },
-                function ($error) use ($connection, &$isConnectionAlive) {
+                function ($error) use ($stream, &$isConnectionAlive) {
                     if (!$isConnectionAlive) return;
-                    StreamHelper::sendSSE($connection, 'error', $error); 
-                    $connection->close(); 
+                    $stream->send('error', $error); 
+                    $stream->close(); 
                 },
-                ['enableSearch' => $enableSearch && $engine === 'google', 'enableTools' => $engine === 'mcp']
+                [
+                    'enableSearch' => $enableSearch && $engine === 'google',
+                    'enableTools' => $engine === 'mcp',
+                    'onToolEvent' => function ($event, $payload) use ($stream, &$isConnectionAlive) {
+                        if (!$isConnectionAlive) return;
+                        $stream->send($event, json_encode($payload, JSON_UNESCAPED_UNICODE));
+                    },
+                ]
             );
             
             return null;
         }
         
-        CacheService::getChatContext($chatId, function($context) use ($connection, $message, $chatId, $headers, $enableSearch, $engine, $model, $assistantId) {
-            $connection->send(new Response(200, $headers, ''));
+        CacheService::getChatContext($chatId, function($context) use ($ctx, $message, $chatId, $enableSearch, $engine, $model, $assistantId) {
+            $stream = ResumableStream::open($ctx);
             
             $prompts = $GLOBALS['config']['prompts'];
             $sourceTexts = $prompts['source_texts'] ?? ['google' => 'AI 预训练知识 + Google Search', 'mcp' => 'AI 预训练知识 + MCP 工具', 'off' => 'AI 预训练知识（搜索已关闭）'];
-            StreamHelper::sendSSE($connection, 'sources', json_encode([['text' => $sourceTexts[$engine] ?? $sourceTexts['off'], 'score' => 100]], JSON_UNESCAPED_UNICODE));
+            $stream->send('sources', json_encode([['text' => $sourceTexts[$engine] ?? $sourceTexts['off'], 'score' => 100]], JSON_UNESCAPED_UNICODE));
             
             // 根据助手类型获取系统提示词
             $systemPrompt = self::getSystemPromptForAssistant($assistantId, $prompts);
@@ -284,7 +307,7 @@ class ChatHandler
             if ($context['summary']) {
                 $historyLabel = $prompts['summarize']['history_label'] ?? '【对话历史摘要】';
                 $messages[0]['content'] .= "\n\n{$historyLabel}\n" . $context['summary']['text'];
-                StreamHelper::sendSSE($connection, 'summary_used', json_encode([
+                $stream->send('summary_used', json_encode([
                     'rounds_summarized' => $context['summary']['rounds_summarized'],
                     'recent_messages' => count($context['messages']) / 2
                 ], JSON_UNESCAPED_UNICODE));
@@ -303,18 +326,25 @@ class ChatHandler
             
             $asyncGemini = AIService::getAsyncGemini($model);
             $isConnectionAlive = true;
+            $requestId = null;
+            // 客户端停止生成或断线超时：中止上游请求，不再保存回答
+            $stream->onCancel(function () use (&$isConnectionAlive, &$requestId, $asyncGemini) {
+                $isConnectionAlive = false;
+                if ($requestId) $asyncGemini->cancel($requestId);
+            });
+            
             $requestId = $asyncGemini->chatStreamAsync(
                 $messages,
-                function ($text, $isThought) use ($connection, &$isConnectionAlive, &$requestId, $asyncGemini) {
+                function ($text, $isThought) use ($stream, &$isConnectionAlive, &$requestId, $asyncGemini) {
                     if (!$isConnectionAlive) return;
                     if ($text) {
-                        if (!StreamHelper::sendSSE($connection, $isThought ? 'thinking' : 'content', $text)) {
+                        if (!$stream->send($isThought ? 'thinking' : 'content', $text)) {
                             $isConnectionAlive = false;
                             if ($requestId) $asyncGemini->cancel($requestId);
                         }
                     }
                 },
-                function ($fullContent, $usageMetadata = null, $usedModel = null) use ($connection, $chatId, $context, $model, &$isConnectionAlive) {
+                function ($fullContent, $usageMetadata = null, $usedModel = null) use ($stream, $chatId, $context, $model, &$isConnectionAlive) {
                     if (!$isConnectionAlive) return;
                     if ($chatId) {
                         CacheService::addToChatHistory($chatId, ['role' => 'assistant', 'content' => $fullContent]);
@@ -322,7 +352,7 @@ class ChatHandler
                     }
                     if ($usageMetadata) {
                         $costInfo = TokenCounter::calculateCost($usageMetadata, $usedModel ?? $model);
-                        StreamHelper::sendSSE($connection, 'usage', json_encode([
+                        $stream->send('usage', json_encode([
                             'tokens' => $costInfo['tokens'], 
                             'cost' => $costInfo['cost'], 
                             'cost_formatted' => TokenCounter::formatCost($costInfo['cost']), 
@@ -330,15 +360,22 @@ class ChatHandler
                             'model' => $usedModel ?? $model
                         ], JSON_UNESCAPED_UNICODE));
                     }
-                    StreamHelper::sendSSE($connection, 'done', ''); 
-                    $connection->close(); 
+                    $stream->send('done', ''); 
+                    $stream->close(); 
                 },
-                function ($error) use ($connection, &$isConnectionAlive) {
+                function ($error) use ($stream, &$isConnectionAlive) {
                     if (!$isConnectionAlive) return;
-                    StreamHelper::sendSSE($connection, 'error', $error); 
-                    $connection->close(); 
+                    $stream->send('error', $error); 
+                    $stream->close(); 
                 },
-                ['enableSearch' => $enableSearch && $engine === 'google', 'enableTools' => $engine === 'mcp']
+                [
+                    'enableSearch' => $enableSearch && $engine === 'google',
+                    'enableTools' => $engine === 'mcp',
+                    'onToolEvent' => function ($event, $payload) use ($stream, &$isConnectionAlive) {
+                        if (!$isConnectionAlive) return;
+                        $stream->send($event, json_encode($payload, JSON_UNESCAPED_UNICODE));
+                    },
+                ]
             );
         });
         
@@ -435,7 +472,14 @@ class ChatHandler
                     StreamHelper::sendSSE($connection, 'error', $error);
                     $connection->close();
                 },
-                ['enableSearch' => $enableSearch && $engine === 'google', 'enableTools' => $engine === 'mcp']
+                [
+                    'enableSearch' => $enableSearch && $engine === 'google',
+                    'enableTools' => $engine === 'mcp',
+                    'onToolEvent' => function ($event, $payload) use ($connection, &$isConnectionAlive) {
+                        if (!$isConnectionAlive) return;
+                        StreamHelper::sendSSE($connection, $event, json_encode($payload, JSON_UNESCAPED_UNICODE));
+                    },
+                ]
             );
         };
         
@@ -468,6 +512,20 @@ class ChatHandler
         return null;
     }
     
+    /**
+     * 停止生成：放弃服务端仍在进行的流并中止上游请求
+     */
+    public static function cancelStream(Context $ctx): array
+    {
+        $body = $ctx->jsonBody() ?? [];
+        $streamId = (string)($body['stream_id'] ?? '');
+        if ($streamId === '') {
+            return ['error' => 'Missing stream_id'];
+        }
+        
+        return ['success' => true, 'cancelled' => ResumableStream::cancel($streamId)];
+    }
+    
     /**
      * 根据助手 ID 获取系统提示词
      */
@@ -538,11 +596,15 @@ class ChatHandler
     }
     
     /**
-     * 基于 Context Cache 的书籍问答（无需 RAG 和 embedding）
+     * 基于 Context Cache 的书籍问答（书籍已索引时附带编号的检索片段，供回答引用）
      */
     public static function streamAskWithCache(Context $ctx): ?array
     {
-        $connection = $ctx->connection();
+        // 断线重连：带 Last-Event-ID 的请求接上原来的流
+        if (ResumableStream::resume($ctx)) {
+            return null;
+        }
+        
         $body = $ctx->jsonBody() ?? [];
         $question = $body['question'] ?? '';
         $bookId = $body['book_id'] ?? '';
@@ -550,6 +612,8 @@ class ChatHandler
         $assistantId = $body['assistant_id'] ?? 'ask';
         $chatId = $body['chat_id'] ?? '';  // 新增：支持 chat_id
         $clientHistory = $body['history'] ?? null;  // 新增：支持客户端传入历史
+        $ragEnabled = $body['rag'] ?? true;
+        $keywordWeight = floatval($body['keyword_weight'] ?? 0.5);
         
         // 过滤空问题或过短的问题（至少2个字符）
         $trimmedQuestion = trim($question);
@@ -558,34 +622,49 @@ class ChatHandler
             return ['error' => 'Question too short (minimum 2 characters)'];
         }
         
+        // 多本书问答：客户端传入 books（两本及以上）时不使用当前书籍
+        $books = array_values(array_unique(array_filter(array_map('basename', array_filter((array)($body['books'] ?? []), 'is_string')))));
+        if (count($books) > 1) {
+            // 只保留书籍目录中实际存在的文件
+            $books = array_values(array_filter($books, fn($bookFile) => is_file(BOOKS_DIR . '/' . $bookFile)));
+            if (count($books) < 2) {
+                return ['error' => '请至少选择两本存在的书籍'];
+            }
+            Logger::info("🤖 Assistant: {$assistantId} | 🎯 Model: {$model} | 📚 Books: " . implode(', ', $books));
+            return self::streamAskMultipleBooks($ctx, $books, $question, $model, $clientHistory, $keywordWeight);
+        }
+
         Logger::info("🤖 Assistant: {$assistantId} | 🎯 Model: {$model} | 📚 Book: {$bookId} (Context Cache)");
-        
+
         // 获取当前选中的书籍路径
         $bookPath = ConfigHandler::getCurrentBookPath();
         if (!$bookPath) {
             return ['error' => '请先选择一本书籍'];
         }
         
-        $headers = [
-            'Content-Type' => 'text/event-stream',
-            'Cache-Control' => 'no-cache',
-            'Access-Control-Allow-Origin' => '*'
-        ];
-        $connection->send(new Response(200, $headers, ''));
+        $stream = ResumableStream::open($ctx);
         
         try {
             // 使用缓存的 MD5（在选择书籍时已计算好，避免每次重新读取书籍）
             $contentMd5 = $GLOBALS['selected_book']['content_md5'] ?? null;
             
             if (!$contentMd5) {
-                StreamHelper::sendSSE($connection, 'error', "MD5 未缓存，请重新选择书籍");
-                $connection->close();
+                $stream->send('error', "MD5 未缓存，请重新选择书籍");
+                $stream->close();
                 return null;
             }
             
             $cacheClient = new GeminiContextCache(GEMINI_API_KEY, $model);
             $bookCache = $cacheClient->getBookCache($contentMd5);
             
+            // 书籍已索引时附带编号片段，回答中用 [n] 引用
+            [$ragContext, $ragSources] = $ragEnabled ? self::retrieveBookPassages($bookPath, $question, $keywordWeight) : ['', []];
+            $userQuestion = $question;
+            if (!empty($ragSources)) {
+                $ragPrompts = $GLOBALS['config']['prompts']['rag'];
+                $userQuestion = str_replace(['{context}', '{question}'], [$ragContext, $question], $ragPrompts['passages_question'] ?? "{context}\n{question}");
+            }
+            
             // 如果 Context Cache 不存在，提取书籍内容直接问答（适用于小书籍）
             if (!$bookCache) {
                 Logger::info("Context Cache 不存在，使用直接问答模式（书籍可能过小）");
@@ -599,8 +678,8 @@ class ChatHandler
                 }
                 
                 if (empty($bookContent)) {
-                    StreamHelper::sendSSE($connection, 'error', "无法读取书籍内容");
-                    $connection->close();
+                    $stream->send('error', "无法读取书籍内容");
+                    $stream->close();
                     return null;
                 }
                 
@@ -613,7 +692,7 @@ class ChatHandler
                     }
                 }
                 
-                StreamHelper::sendSSE($connection, 'sources', json_encode([
+                $stream->send('sources', json_encode($ragSources ?: [
                     ['text' => "书籍全文（内容过短，无法使用 Context Cache）", 'score' => 100]
                 ], JSON_UNESCAPED_UNICODE));
                 
@@ -622,25 +701,31 @@ class ChatHandler
                 
                 $asyncGemini = AIService::getAsyncGemini($model);
                 $isConnectionAlive = true;
+                $requestId = null;
+                // 客户端停止生成或断线超时：中止上游请求，不再保存回答
+                $stream->onCancel(function () use (&$isConnectionAlive, &$requestId, $asyncGemini) {
+                    $isConnectionAlive = false;
+                    if ($requestId) $asyncGemini->cancel($requestId);
+                });
                 
-                $asyncGemini->chatStreamAsync(
+                $requestId = $asyncGemini->chatStreamAsync(
                     [
                         ['role' => 'system', 'content' => $systemPrompt],
-                        ['role' => 'user', 'content' => $question]
+                        ['role' => 'user', 'content' => $userQuestion]
                     ],
-                    function ($text, $isThought) use ($connection, &$isConnectionAlive) {
+                    function ($text, $isThought) use ($stream, &$isConnectionAlive) {
                         if (!$isConnectionAlive) return;
                         if ($text) {
-                            if (!StreamHelper::sendSSE($connection, $isThought ? 'thinking' : 'content', $text)) {
+                            if (!$stream->send($isThought ? 'thinking' : 'content', $text)) {
                                 $isConnectionAlive = false;
                             }
                         }
                     },
-                    function ($fullAnswer, $usageMetadata = null, $usedModel = null) use ($connection, $model, &$isConnectionAlive) {
+                    function ($fullAnswer, $usageMetadata = null, $usedModel = null) use ($stream, $model, &$isConnectionAlive) {
                         if (!$isConnectionAlive) return;
                         if ($usageMetadata) {
                             $costInfo = TokenCounter::calculateCost($usageMetadata, $usedModel ?? $model);
-                            StreamHelper::sendSSE($connection, 'usage', json_encode([
+                            $stream->send('usage', json_encode([
                                 'tokens' => $costInfo['tokens'],
                                 'cost' => $costInfo['cost'],
                                 'cost_formatted' => TokenCounter::formatCost($costInfo['cost']),
@@ -648,13 +733,13 @@ class ChatHandler
                                 'model' => $usedModel ?? $model
                             ], JSON_UNESCAPED_UNICODE));
                         }
-                        StreamHelper::sendSSE($connection, 'done', '');
-                        $connection->close();
+                        $stream->send('done', '');
+                        $stream->close();
                     },
-                    function ($error) use ($connection, &$isConnectionAlive) {
+                    function ($error) use ($stream, &$isConnectionAlive) {
                         if (!$isConnectionAlive) return;
-                        StreamHelper::sendSSE($connection, 'error', $error);
-                        $connection->close();
+                        $stream->send('error', $error);
+                        $stream->close();
                     }
                 );
                 
@@ -667,13 +752,13 @@ class ChatHandler
                     "• 当前选择: {$model}\n" .
                     "• 缓存要求: {$cacheModel}\n\n" .
                     "请切换到 {$cacheModel} 模型后重试。";
-                StreamHelper::sendSSE($connection, 'error', $errorMsg);
-                $connection->close();
+                $stream->send('error', $errorMsg);
+                $stream->close();
                 return null;
             }
             
             $tokenCount = $bookCache['usageMetadata']['totalTokenCount'] ?? 0;
-            StreamHelper::sendSSE($connection, 'sources', json_encode([
+            $stream->send('sources', json_encode($ragSources ?: [
                 ['text' => "Context Cache（{$tokenCount} tokens，无需 embedding）", 'score' => 100]
             ], JSON_UNESCAPED_UNICODE));
             
@@ -690,7 +775,7 @@ class ChatHandler
             }
             
             // 添加当前问题
-            $messages[] = ['role' => 'user', 'content' => $question];
+            $messages[] = ['role' => 'user', 'content' => $userQuestion];
             
             // 📊 输出完整的请求数据
             Logger::info("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
@@ -702,22 +787,29 @@ class ChatHandler
             // 使用 Context Cache 直接问答
             $asyncGemini = AIService::getAsyncGemini($cacheModel);
             $isConnectionAlive = true;
+            $requestId = null;
+            // 客户端停止生成或断线超时：中止上游请求，不再保存回答
+            $stream->onCancel(function () use (&$isConnectionAlive, &$requestId, $asyncGemini) {
+                $isConnectionAlive = false;
+                if ($requestId) $asyncGemini->cancel($requestId);
+            });
             
-            $asyncGemini->chatStreamAsync(
+            $requestId = $asyncGemini->chatStreamAsync(
                 $messages,
-                function ($text, $isThought) use ($connection, &$isConnectionAlive) {
+                function ($text, $isThought) use ($stream, &$isConnectionAlive, &$requestId, $asyncGemini) {
                     if (!$isConnectionAlive) return;
                     if ($text) {
-                        if (!StreamHelper::sendSSE($connection, $isThought ? 'thinking' : 'content', $text)) {
+                        if (!$stream->send($isThought ? 'thinking' : 'content', $text)) {
                             $isConnectionAlive = false;
+                            if ($requestId) $asyncGemini->cancel($requestId);
                         }
                     }
                 },
-                function ($fullAnswer, $usageMetadata = null, $usedModel = null) use ($connection, $cacheModel, &$isConnectionAlive) {
+                function ($fullAnswer, $usageMetadata = null, $usedModel = null) use ($stream, $cacheModel, &$isConnectionAlive) {
                     if (!$isConnectionAlive) return;
                     if ($usageMetadata) {
                         $costInfo = TokenCounter::calculateCost($usageMetadata, $usedModel ?? $cacheModel);
-                        StreamHelper::sendSSE($connection, 'usage', json_encode([
+                        $stream->send('usage', json_encode([
                             'tokens' => $costInfo['tokens'],
                             'cost' => $costInfo['cost'],
                             'cost_formatted' => TokenCounter::formatCost($costInfo['cost']),
@@ -725,13 +817,13 @@ class ChatHandler
                             'model' => $usedModel ?? $cacheModel
                         ], JSON_UNESCAPED_UNICODE));
                     }
-                    StreamHelper::sendSSE($connection, 'done', '');
-                    $connection->close();
+                    $stream->send('done', '');
+                    $stream->close();
                 },
-                function ($error) use ($connection, &$isConnectionAlive) {
+                function ($error) use ($stream, &$isConnectionAlive) {
                     if (!$isConnectionAlive) return;
-                    StreamHelper::sendSSE($connection, 'error', $error);
-                    $connection->close();
+                    $stream->send('error', $error);
+                    $stream->close();
                 },
                 [
                     'cachedContent' => $bookCache['name'],
@@ -740,13 +832,217 @@ class ChatHandler
             );
             
         } catch (\Exception $e) {
-            StreamHelper::sendSSE($connection, 'error', $e->getMessage());
-            $connection->close();
+            $stream->send('error', $e->getMessage());
+            $stream->close();
         }
         
         return null;
     }
     
+    /**
+     * 在当前书籍的索引中检索与问题相关的片段
+     * 来源带 chunk / book 字段，前端据此在阅读器中打开原文
+     *
+     * @return array [编号后的片段上下文, 来源列表]，书籍未索引或检索失败时均为空
+     */
+    private static function retrieveBookPassages(string $bookPath, string $question, float $keywordWeight, int $topK = 5): array
+    {
+        $currentCache = ConfigHandler::getCurrentBookCache();
+        if (!$currentCache) {
+            return ['', []];
+        }
+        
+        try {
+            $embedder = new EmbeddingClient(GEMINI_API_KEY);
+            $queryEmbedding = $embedder->embedQuery($question);
+            
+            $vectorStore = new VectorStore($currentCache);
+            $results = $vectorStore->hybridSearch($question, $queryEmbedding, $topK, $keywordWeight);
+        } catch (\Exception $e) {
+            Logger::warn("⚠️ 片段检索失败，仅使用全文: " . $e->getMessage());
+            return ['', []];
+        }
+        
+        $chunkTemplate = $GLOBALS['config']['prompts']['rag']['chunk_template'] ?? "【Passage {index}】\n{text}\n";
+        $ragContext = '';
+        $ragSources = [];
+        foreach ($results as $i => $result) {
+            $ragContext .= str_replace(['{index}', '{text}'], [$i + 1, $result['chunk']['text']], $chunkTemplate);
+            $ragContext .= "(Relevance: " . round($result['score'] * 100, 1) . "%)\n\n";
+            $ragSources[] = [
+                'text' => mb_substr($result['chunk']['text'], 0, 200) . '...',
+                'score' => round($result['score'] * 100, 1),
+                'chunk' => $result['chunk']['id'] ?? null,
+                'book' => basename($bookPath),
+            ];
+        }
+        
+        return [$ragContext, $ragSources];
+    }
+    
+    /**
+     * 多本书问答（SSE）
+     *
+     * 在每本已索引的书中分别检索片段，片段按书分组后统一编号；
+     * 来源带 book / bookTitle 字段，前端按书分组显示。未索引的书只提供书名，由模型凭已有知识回答。
+     */
+    private static function streamAskMultipleBooks(Context $ctx, array $books, string $question, string $model, ?array $clientHistory, float $keywordWeight): ?array
+    {
+        $prompts = $GLOBALS['config']['prompts'];
+        $libraryPrompts = $prompts['library'];
+        $ragPrompts = $prompts['rag'];
+
+        // 每本书检索的片段数
+        $topK = 3;
+
+        // 书籍信息
+        $bookInfos = [];
+        foreach ($books as $bookFile) {
+            $bookPath = BOOKS_DIR . '/' . $bookFile;
+            $ext = strtolower(pathinfo($bookFile, PATHINFO_EXTENSION));
+            if (!in_array($ext, ['epub', 'txt']) || !file_exists($bookPath)) {
+                Logger::warn("⚠️ 书籍不存在，已跳过: {$bookFile}");
+                continue;
+            }
+
+            $baseName = pathinfo($bookFile, PATHINFO_FILENAME);
+            $title = $baseName;
+            $authors = '';
+            if ($ext === 'epub') {
+                try {
+                    $metadata = \SmartBook\Parser\EpubParser::extractMetadata($bookPath);
+                    if (!empty($metadata['title'])) $title = $metadata['title'];
+                    if (!empty($metadata['authors'])) $authors = $metadata['authors'];
+                } catch (\Exception $e) {}
+            }
+
+            $indexPath = BOOKS_DIR . '/' . $baseName . '_index.json';
+            $bookInfos[] = [
+                'file' => $bookFile,
+                'title' => $title,
+                'authors' => $authors,
+                'index' => file_exists($indexPath) ? $indexPath : null,
+            ];
+        }
+
+        if (count($bookInfos) < 2) {
+            return ['error' => '请至少选择两本书籍'];
+        }
+
+        $stream = ResumableStream::open($ctx);
+
+        try {
+            $indexed = array_filter($bookInfos, fn($info) => $info['index'] !== null);
+            $queryEmbedding = [];
+            if (!empty($indexed)) {
+                $embedder = new EmbeddingClient(GEMINI_API_KEY);
+                $queryEmbedding = $embedder->embedQuery($question);
+            }
+
+            $bookInfo = $libraryPrompts['books_intro'];
+            $ragContext = '';
+            $ragSources = [];
+            $chunkTemplate = $ragPrompts['chunk_template'] ?? "【Passage {index}】\n{text}\n";
+            $unknownAuthor = $prompts['defaults']['unknown_author'] ?? '未知作者';
+
+            foreach ($bookInfos as $i => $info) {
+                $bookTitle = '《' . $info['title'] . '》';
+                $bookInfo .= str_replace(['{which}', '{title}', '{authors}'], [$i === 0 ? 'first ' : 'next ', $bookTitle, $info['authors'] ?: $unknownAuthor], $libraryPrompts['book_template']) . $libraryPrompts['separator'];
+                $ragContext .= str_replace('{title}', $bookTitle, $ragPrompts['multi_book_header'] ?? "=== {title} ===\n");
+
+                $results = [];
+                if ($info['index']) {
+                    $vectorStore = new VectorStore($info['index']);
+                    $results = $vectorStore->hybridSearch($question, $queryEmbedding, $topK, $keywordWeight);
+                }
+                if (empty($results)) {
+                    $ragContext .= $ragPrompts['multi_book_no_context'] ?? "(No passages retrieved from this book.)\n\n";
+                    continue;
+                }
+
+                foreach ($results as $result) {
+                    $ragContext .= str_replace(['{index}', '{text}'], [count($ragSources) + 1, $result['chunk']['text']], $chunkTemplate);
+                    $ragContext .= "(Relevance: " . round($result['score'] * 100, 1) . "%)\n\n";
+                    $ragSources[] = [
+                        'text' => mb_substr($result['chunk']['text'], 0, 200) . '...',
+                        'score' => round($result['score'] * 100, 1),
+                        'chunk' => $result['chunk']['id'] ?? null,
+                        'book' => $info['file'],
+                        'bookTitle' => $info['title'],
+                    ];
+                }
+            }
+
+            Logger::info("📚 多本书检索: " . count($bookInfos) . " 本书，" . count($indexed) . " 本已索引，" . count($ragSources) . " 个片段");
+
+            if (empty($ragSources)) {
+                $sourceTexts = $prompts['source_texts'] ?? [];
+                $ragSources[] = ['text' => $sourceTexts['off'] ?? 'AI 预训练知识（搜索已关闭）', 'score' => 100];
+            }
+            $stream->send('sources', json_encode($ragSources, JSON_UNESCAPED_UNICODE));
+
+            $systemPrompt = str_replace(['{book_info}', '{context}'], [$bookInfo, $ragContext], $ragPrompts['multi_system'] ?? 'You are a book analysis assistant. {book_info}\n\nContext:\n{context}');
+
+            $messages = [['role' => 'system', 'content' => $systemPrompt]];
+            if (is_array($clientHistory)) {
+                foreach ($clientHistory as $msg) {
+                    if (isset($msg['role']) && isset($msg['content'])) {
+                        $messages[] = ['role' => $msg['role'], 'content' => $msg['content']];
+                    }
+                }
+            }
+            $messages[] = ['role' => 'user', 'content' => $question];
+
+            $asyncGemini = AIService::getAsyncGemini($model);
+            $isConnectionAlive = true;
+            $requestId = null;
+            // 客户端停止生成或断线超时：中止上游请求，不再保存回答
+            $stream->onCancel(function () use (&$isConnectionAlive, &$requestId, $asyncGemini) {
+                $isConnectionAlive = false;
+                if ($requestId) $asyncGemini->cancel($requestId);
+            });
+            
+            $requestId = $asyncGemini->chatStreamAsync(
+                $messages,
+                function ($text, $isThought) use ($stream, &$isConnectionAlive, &$requestId, $asyncGemini) {
+                    if (!$isConnectionAlive) return;
+                    if ($text) {
+                        if (!$stream->send($isThought ? 'thinking' : 'content', $text)) {
+                            $isConnectionAlive = false;
+                            if ($requestId) $asyncGemini->cancel($requestId);
+                        }
+                    }
+                },
+                function ($fullAnswer, $usageMetadata = null, $usedModel = null) use ($stream, $model, &$isConnectionAlive) {
+                    if (!$isConnectionAlive) return;
+                    if ($usageMetadata) {
+                        $costInfo = TokenCounter::calculateCost($usageMetadata, $usedModel ?? $model);
+                        $stream->send('usage', json_encode([
+                            'tokens' => $costInfo['tokens'],
+                            'cost' => $costInfo['cost'],
+                            'cost_formatted' => TokenCounter::formatCost($costInfo['cost']),
+                            'currency' => $costInfo['currency'],
+                            'model' => $usedModel ?? $model
+                        ], JSON_UNESCAPED_UNICODE));
+                    }
+                    $stream->send('done', '');
+                    $stream->close();
+                },
+                function ($error) use ($stream, &$isConnectionAlive) {
+                    if (!$isConnectionAlive) return;
+                    $stream->send('error', $error);
+                    $stream->close();
+                }
+            );
+
+        } catch (\Exception $e) {
+            $stream->send('error', $e->getMessage());
+            $stream->close();
+        }
+
+        return null;
+    }
+
     /**
      * 基于 Context Cache 的续写小说（无需 RAG）
      */
@@ -28,7 +28,7 @@ class RequestHandler
             'Content-Type' => 'application/json; charset=utf-8',
             'Access-Control-Allow-Origin' => '*',
             'Access-Control-Allow-Methods' => 'GET, POST, OPTIONS',
-            'Access-Control-Allow-Headers' => 'Content-Type',
+            'Access-Control-Allow-Headers' => 'Content-Type, Last-Event-ID',
         ];
         
         if ($method === 'OPTIONS') {
@@ -0,0 +1,291 @@
+<?php
+/**
+ * 可恢复的 SSE 流
+ *
+ * 缓存已发送的事件，事件 ID 格式为 "{streamId}:{seq}"。
+ * 客户端断线后带 Last-Event-ID 重新请求，即可接上原来的流继续接收。
+ * 断线期间生成不会中止，超过 RESUME_TTL 仍未重连才会放弃。
+ * 缓冲最多保留 MAX_BUFFERED_EVENTS 个事件，落后更多的客户端无法恢复。
+ * 客户端主动停止时调用 cancel()（POST /api/stream/cancel），立即放弃并中止上游请求。
+ */
+
+namespace SmartBook\Http\Handlers;
+
+use SmartBook\Http\Context;
+use SmartBook\Logger;
+use Workerman\Connection\TcpConnection;
+use Workerman\Protocols\Http\Response;
+use Workerman\Timer;
+
+class ResumableStream
+{
+    /** 断线或结束后保留缓冲的时间（秒） */
+    const RESUME_TTL = 60;
+
+    /** 未结束的流最长保留时间（秒），防止未调用 close() 的流一直占用内存 */
+    const MAX_LIFETIME = 1800;
+
+    /** 检查过期的间隔（秒） */
+    const EXPIRY_CHECK_INTERVAL = 10;
+
+    /** 缓冲的最大事件数，超出后丢弃最早的事件 */
+    const MAX_BUFFERED_EVENTS = 5000;
+
+    /** @var array<string, ResumableStream> 进行中的流 */
+    private static array $streams = [];
+
+    private string $id;
+    private ?TcpConnection $connection = null;
+    /** @var array<int, array{0: string, 1: string}> 以 seq 为键的事件缓冲 */
+    private array $events = [];
+    private int $seq = 0;
+    private bool $finished = false;
+    private bool $cancelled = false;
+    private ?float $detachedAt = null;
+    private float $openedAt;
+    private ?int $expiryTimer = null;
+    /** @var callable|null 放弃时调用（中止上游请求） */
+    private $onCancel = null;
+
+    private function __construct(string $id)
+    {
+        $this->id = $id;
+        $this->openedAt = microtime(true);
+    }
+
+    /**
+     * SSE 响应头
+     */
+    private static function headers(): array
+    {
+        return ['Content-Type' => 'text/event-stream', 'Cache-Control' => 'no-cache', 'Access-Control-Allow-Origin' => '*'];
+    }
+
+    /**
+     * 创建新流并发送响应头
+     * 客户端可通过请求体的 stream_id 指定流 ID
+     */
+    public static function open(Context $ctx): self
+    {
+        $body = $ctx->jsonBody() ?? [];
+        $id = preg_replace('/[^\w\-]/', '', (string)($body['stream_id'] ?? ''));
+        if ($id === '' || isset(self::$streams[$id])) {
+            $id = 'stream_' . bin2hex(random_bytes(8));
+        }
+
+        $stream = new self($id);
+        self::$streams[$id] = $stream;
+        $stream->attach($ctx->connection());
+
+        // 定期检查过期：客户端断线后不再有事件发送、或流一直未结束时也能清理
+        $stream->expiryTimer = Timer::add(self::EXPIRY_CHECK_INTERVAL, function () use ($stream) {
+            $stream->expired();
+        });
+
+        return $stream;
+    }
+
+    /**
+     * 尝试恢复断开的流
+     *
+     * @return bool true 表示请求已作为恢复请求处理（成功或失败都已响应），调用方应直接返回
+     */
+    public static function resume(Context $ctx): bool
+    {
+        $lastEventId = (string)$ctx->header('last-event-id', '');
+        if ($lastEventId === '') {
+            return false;
+        }
+
+        [$id, $seq] = array_pad(explode(':', $lastEventId, 2), 2, '0');
+        $stream = self::$streams[$id] ?? null;
+        $connection = $ctx->connection();
+
+        if (!$stream || !$stream->canReplayFrom((int)$seq)) {
+            Logger::info("[SSE] 无法恢复流: {$id}（已过期、不存在或缓冲已丢弃）");
+            $connection->send(new Response(200, self::headers(), ''));
+            StreamHelper::sendSSE($connection, 'resume_failed', json_encode(['stream_id' => $id]));
+            $connection->close();
+            return true;
+        }
+
+        Logger::info("[SSE] 恢复流: {$id}，从事件 {$seq} 之后继续");
+        $stream->attach($connection, (int)$seq);
+        return true;
+    }
+
+    /**
+     * 客户端停止生成：放弃指定的流
+     *
+     * @return bool false 表示流不存在或已结束
+     */
+    public static function cancel(string $id): bool
+    {
+        $stream = self::$streams[$id] ?? null;
+        if (!$stream || $stream->finished) {
+            return false;
+        }
+
+        Logger::info("[SSE] 客户端停止生成: {$id}");
+        $stream->abandon();
+        return true;
+    }
+
+    /**
+     * 设置放弃时的回调（客户端停止或断线超时），用于中止上游请求
+     * 放弃后 send() 返回 false，调用方不应再保存回答
+     */
+    public function onCancel(callable $callback): void
+    {
+        $this->onCancel = $callback;
+    }
+
+    /**
+     * 放弃流：结束并调用放弃回调
+     */
+    private function abandon(): void
+    {
+        $this->cancelled = true;
+        $this->close();
+        if ($this->onCancel) {
+            ($this->onCancel)();
+            $this->onCancel = null;
+        }
+    }
+
+    /**
+     * 断线超过 RESUME_TTL 或超过 MAX_LIFETIME 仍未结束时放弃流
+     *
+     * @return bool true 表示流已放弃
+     */
+    private function expired(): bool
+    {
+        if ($this->finished) {
+            return false;
+        }
+
+        $now = microtime(true);
+        if ($this->detachedAt !== null && $now - $this->detachedAt > self::RESUME_TTL) {
+            Logger::info("[SSE] 流 {$this->id} 断线超时，停止生成");
+        } elseif ($now - $this->openedAt > self::MAX_LIFETIME) {
+            Logger::warn("[SSE] 流 {$this->id} 超过最长保留时间仍未结束，停止生成");
+        } else {
+            return false;
+        }
+
+        $this->abandon();
+        return true;
+    }
+
+    /**
+     * 缓冲中是否还保留着 $afterSeq 之后的全部事件
+     */
+    private function canReplayFrom(int $afterSeq): bool
+    {
+        return $afterSeq >= $this->seq - self::MAX_BUFFERED_EVENTS;
+    }
+
+    /**
+     * 绑定连接，并重放 $afterSeq 之后的事件
+     */
+    private function attach(TcpConnection $connection, int $afterSeq = 0): void
+    {
+        if ($this->connection && $this->connection !== $connection) {
+            $this->connection->close();
+        }
+
+        $this->connection = $connection;
+        $this->detachedAt = null;
+        $connection->onClose = function () use ($connection) {
+            // 客户端断开：开始计算断线时间
+            if ($this->connection === $connection) {
+                $this->connection = null;
+                $this->detachedAt = microtime(true);
+            }
+        };
+        $connection->send(new Response(200, self::headers(), ''));
+
+        foreach ($this->events as $seq => [$event, $data]) {
+            if ($seq > $afterSeq && !$this->write($seq, $event, $data)) {
+                return;
+            }
+        }
+
+        if ($this->finished) {
+            $connection->close();
+        }
+    }
+
+    /**
+     * 写入当前连接，失败时标记为断开
+     */
+    private function write(int $seq, string $event, string $data): bool
+    {
+        if (!$this->connection) {
+            return false;
+        }
+
+        if (!StreamHelper::sendSSE($this->connection, $event, $data, "{$this->id}:{$seq}")) {
+            $this->connection = null;
+            $this->detachedAt = microtime(true);
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * 发送事件（同时写入缓冲）
+     *
+     * @return bool false 表示客户端已放弃（主动停止或断线超过 RESUME_TTL），应停止生成
+     */
+    public function send(string $event, string $data): bool
+    {
+        if ($this->cancelled) {
+            return false;
+        }
+
+        $seq = ++$this->seq;
+        $this->events[$seq] = [$event, $data];
+        unset($this->events[$seq - self::MAX_BUFFERED_EVENTS]);
+
+        if ($this->connection) {
+            $this->write($seq, $event, $data);
+        }
+
+        return !$this->expired();
+    }
+
+    /**
+     * 结束流：关闭连接，缓冲保留 RESUME_TTL 秒供断线客户端取回
+     */
+    public function close(): void
+    {
+        if ($this->finished) {
+            return;
+        }
+
+        $this->finished = true;
+        if ($this->expiryTimer !== null) {
+            Timer::del($this->expiryTimer);
+            $this->expiryTimer = null;
+        }
+        if ($this->connection) {
+            $this->connection->close();
+            $this->connection = null;
+        }
+
+        $id = $this->id;
+        Timer::add(self::RESUME_TTL, function () use ($id) {
+            unset(self::$streams[$id]);
+        }, [], false);
+    }
+
+    /**
+     * 获取流 ID
+     */
+    public function getId(): string
+    {
+        return $this->id;
+    }
+}
@@ -16,9 +16,10 @@ class StreamHelper
      * @param TcpConnection $connection Workerman 连接对象
      * @param string $event 事件类型
      * @param string $data 事件数据
+     * @param string|null $id 事件 ID（用于断线恢复）
      * @return bool 返回 true 表示发送成功，false 表示连接已断开
      */
-    public static function sendSSE(TcpConnection $connection, string $event, string $data): bool
+    public static function sendSSE(TcpConnection $connection, string $event, string $data, ?string $id = null): bool
     {
         // 检查连接状态
         if ($connection->getStatus() !== TcpConnection::STATUS_ESTABLISHED) {
@@ -28,7 +29,8 @@ class StreamHelper
         
         // 构建 SSE 消息
         $lines = explode("\n", $data);
-        $message = "event: {$event}\n";
+        $message = $id !== null ? "id: {$id}\n" : '';
+        $message .= "event: {$event}\n";
         foreach ($lines as $line) {
             $message .= "data: {$line}\n";
         }
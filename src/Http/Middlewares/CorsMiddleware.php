@@ -22,7 +22,7 @@ class CorsMiddleware implements Middleware
         $this->config = array_merge([
             'allow_origin' => '*',
             'allow_methods' => 'GET, POST, PUT, DELETE, PATCH, OPTIONS',
-            'allow_headers' => 'Content-Type, Authorization, X-Requested-With',
+            'allow_headers' => 'Content-Type, Authorization, X-Requested-With, Last-Event-ID',
             'allow_credentials' => false,
             'max_age' => 86400,
         ], $config);
@@ -69,6 +69,8 @@ Router::group('/api', function() {
         Router::post('/select', fn($ctx) => BookHandler::selectBook($ctx));
         Router::post('/upload', fn($ctx) => BookHandler::uploadBook($ctx));
         Router::post('/index', fn($ctx) => BookHandler::indexBook($ctx));
+        Router::get('/content', fn($ctx) => BookHandler::getBookContent($ctx));
+        Router::get('/chunk', fn($ctx) => BookHandler::getChunk($ctx));
     });
     
     // ===================================
@@ -84,6 +86,9 @@ Router::group('/api', function() {
         // 小说续写（基于 Context Cache）
         Router::post('/continue', fn($ctx) => ChatHandler::streamContinueWithCache($ctx));
         
+        // 停止生成
+        Router::post('/cancel', fn($ctx) => ChatHandler::cancelStream($ctx));
+        
         // 增强版续写
         Router::post('/enhanced-continue', fn($ctx) => EnhancedWriterHandler::streamContinue($ctx));
         Router::post('/analyze-characters', fn($ctx) => EnhancedWriterHandler::analyzeCharacters($ctx));
@@ -207,7 +207,8 @@ class ToolManager
                     $texts[] = $item['text'];
                 }
             }
-            return ['result' => implode("\n", $texts)];
+            // 原始内容（图片、嵌入资源等）一并返回供前端展示，交给模型的只有文本
+            return ['result' => implode("\n", $texts), 'content' => $content];
         }
         
         return $result;
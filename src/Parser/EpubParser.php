@@ -208,6 +208,120 @@ class EpubParser
     {
         $toc = [];
         
+        $spine = self::readSpine($zip);
+        if (!$spine) {
+            return $toc;
+        }
+        [$opfDir, $hrefs] = $spine;
+        
+        $index = 1;
+        foreach ($hrefs as $href) {
+            $fullPath = $opfDir ? "{$opfDir}/{$href}" : $href;
+            
+            // 尝试从文件中提取标题
+            $title = "Chapter {$index}";
+            $fileContent = $zip->getFromName($fullPath);
+            if ($fileContent) {
+                // 尝试从 <title> 标签获取
+                if (preg_match('/<title[^>]*>(.*?)<\/title>/is', $fileContent, $titleMatch)) {
+                    $extractedTitle = trim(strip_tags(html_entity_decode($titleMatch[1], ENT_QUOTES | ENT_HTML5, 'UTF-8')));
+                    if (!empty($extractedTitle)) {
+                        $title = $extractedTitle;
+                    }
+                }
+                // 或从第一个 h1-h3 获取
+                elseif (preg_match('/<h[1-3][^>]*>(.*?)<\/h[1-3]>/is', $fileContent, $hMatch)) {
+                    $extractedTitle = trim(strip_tags(html_entity_decode($hMatch[1], ENT_QUOTES | ENT_HTML5, 'UTF-8')));
+                    if (!empty($extractedTitle)) {
+                        $title = $extractedTitle;
+                    }
+                }
+            }
+            
+            $toc[] = [
+                'title' => $title,
+                'href' => $href,
+                'level' => 1,
+            ];
+            $index++;
+        }
+        
+        return $toc;
+    }
+    
+    /**
+     * 按阅读顺序（OPF spine）提取章节内容，供阅读器显示
+     * 
+     * 只保留 <body> 内的 HTML，去掉脚本、样式和图片（图片资源不对外提供）。
+     * 章节标题优先取目录中的标题，其次取第一个 h1-h3。
+     * 
+     * @param string $epubPath EPUB 文件路径
+     * @return array 章节数组，每项包含 title, href, html
+     */
+    public static function extractChapters(string $epubPath): array
+    {
+        $toc = self::extractToc($epubPath);
+        
+        $zip = new \ZipArchive();
+        if ($zip->open($epubPath) !== true) {
+            return [];
+        }
+        
+        $spine = self::readSpine($zip);
+        if (!$spine) {
+            $zip->close();
+            return [];
+        }
+        [$opfDir, $hrefs] = $spine;
+        
+        // 目录标题（按文件名，去掉锚点）
+        $tocTitles = [];
+        foreach ($toc as $item) {
+            $file = basename(strtok($item['href'], '#'));
+            if (!isset($tocTitles[$file])) {
+                $tocTitles[$file] = $item['title'];
+            }
+        }
+        
+        // 按 spine 顺序读取章节
+        $chapters = [];
+        foreach ($hrefs as $href) {
+            $fullPath = $opfDir ? "{$opfDir}/" . urldecode($href) : urldecode($href);
+            $content = $zip->getFromName($fullPath);
+            if (!$content) continue;
+            
+            $html = preg_match('/<body[^>]*>(.*)<\/body>/is', $content, $bodyMatch) ? $bodyMatch[1] : $content;
+            $html = preg_replace('/<script[^>]*>.*?<\/script>/is', '', $html);
+            $html = preg_replace('/<style[^>]*>.*?<\/style>/is', '', $html);
+            $html = preg_replace('/<(img|image)\b[^>]*>/i', '', $html);
+            
+            // 跳过没有文字的页面（封面等）
+            $text = trim(html_entity_decode(strip_tags($html), ENT_QUOTES | ENT_HTML5, 'UTF-8'));
+            if ($text === '') continue;
+            
+            $title = $tocTitles[basename($href)] ?? null;
+            if (!$title && preg_match('/<h[1-3][^>]*>(.*?)<\/h[1-3]>/is', $html, $hMatch)) {
+                $title = trim(strip_tags(html_entity_decode($hMatch[1], ENT_QUOTES | ENT_HTML5, 'UTF-8')));
+            }
+            
+            $chapters[] = [
+                'title' => $title ?: 'Chapter ' . (count($chapters) + 1),
+                'href' => $href,
+                'html' => trim($html),
+            ];
+        }
+        
+        $zip->close();
+        return $chapters;
+    }
+    
+    /**
+     * 读取 OPF 的 spine
+     * 
+     * @return array|null [OPF 所在目录, 按 spine 顺序的章节 href 列表]，找不到 OPF 时返回 null
+     */
+    private static function readSpine(\ZipArchive $zip): ?array
+    {
         // 找到 OPF 文件
         $opfContent = null;
         $opfDir = '';
@@ -222,7 +336,7 @@ class EpubParser
         }
         
         if (!$opfContent) {
-            return $toc;
+            return null;
         }
         
         // 提取 manifest 中的项目
@@ -232,44 +346,15 @@ class EpubParser
             $manifest[$item[1]] = $item[2];
         }
         
-        // 提取 spine 顺序
+        // 按 spine 顺序取出 href
         preg_match_all('/<itemref[^>]*idref=["\']([^"\']+)["\'][^>]*>/i', $opfContent, $spineItems);
-        
-        $index = 1;
+        $hrefs = [];
         foreach ($spineItems[1] as $idref) {
             if (isset($manifest[$idref])) {
-                $href = $manifest[$idref];
-                $fullPath = $opfDir ? "{$opfDir}/{$href}" : $href;
-                
-                // 尝试从文件中提取标题
-                $title = "Chapter {$index}";
-                $fileContent = $zip->getFromName($fullPath);
-                if ($fileContent) {
-                    // 尝试从 <title> 标签获取
-                    if (preg_match('/<title[^>]*>(.*?)<\/title>/is', $fileContent, $titleMatch)) {
-                        $extractedTitle = trim(strip_tags(html_entity_decode($titleMatch[1], ENT_QUOTES | ENT_HTML5, 'UTF-8')));
-                        if (!empty($extractedTitle)) {
-                            $title = $extractedTitle;
-                        }
-                    }
-                    // 或从第一个 h1-h3 获取
-                    elseif (preg_match('/<h[1-3][^>]*>(.*?)<\/h[1-3]>/is', $fileContent, $hMatch)) {
-                        $extractedTitle = trim(strip_tags(html_entity_decode($hMatch[1], ENT_QUOTES | ENT_HTML5, 'UTF-8')));
-                        if (!empty($extractedTitle)) {
-                            $title = $extractedTitle;
-                        }
-                    }
-                }
-                
-                $toc[] = [
-                    'title' => $title,
-                    'href' => $href,
-                    'level' => 1,
-                ];
-                $index++;
+                $hrefs[] = $manifest[$idref];
             }
         }
         
-        return $toc;
+        return [$opfDir, $hrefs];
     }
 }
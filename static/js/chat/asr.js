@@ -814,69 +814,40 @@ const ChatASR = {
         this.updateConversationStatus('thinking');
         
         // 发送消息
-        await this.sendAndWaitResponse(text);
+        this.sendAndWaitResponse(text);
     },
     
-    // 发送消息并等待回复
-    async sendAndWaitResponse(text) {
-        try {
-            // 设置输入框内容
-            const input = document.getElementById('chatInput');
-            if (input) {
-                input.value = text;
-            }
-            
-            // 保存 this 引用
-            const self = this;
+    // 发送消息并等待回复（经由待发送队列，上一条回答未完成时排队）
+    sendAndWaitResponse(text) {
+        ChatQueue.submit(ChatState.getCurrentState(), text, (responseText) => {
+            console.log('🤖 收到回复，准备播放 TTS');
+            console.log('   - 对话模式激活:', this.conversationActive);
+            console.log('   - 自动TTS:', this.autoTTS);
+            console.log('   - 回复长度:', responseText ? responseText.length : 0);
             
-            // 设置对话模式回调（每次都重新设置，使用箭头函数绑定 this）
-            window._conversationOnComplete = function(responseText) {
-                console.log('🤖 收到回复，准备播放 TTS');
-                console.log('   - 对话模式激活:', self.conversationActive);
-                console.log('   - 自动TTS:', self.autoTTS);
-                console.log('   - 回复长度:', responseText ? responseText.length : 0);
-                
-                // 只有在对话模式激活时才处理
-                if (!self.conversationActive) {
-                    console.log('对话模式已关闭，跳过 TTS');
-                    return;
-                }
-                
-                // 更新状态
-                self.updateConversationStatus('speaking');
-                
-                // 播放 TTS（使用异步处理）
-                if (self.autoTTS && responseText && typeof ChatTTS !== 'undefined') {
-                    // 异步播放 TTS
-                    self.playTTSAndContinue(responseText).catch(err => {
-                        console.error('TTS 播放错误:', err);
-                        self.continueListening();
-                    });
-                } else {
-                    // 没有 TTS，直接继续监听
-                    console.log('跳过TTS，直接继续监听');
-                    self.continueListening();
-                }
-            };
+            // 只有在对话模式激活时才处理
+            if (!this.conversationActive) {
+                console.log('对话模式已关闭，跳过 TTS');
+                return;
+            }
             
-            console.log('🎤 对话模式: 回调已设置，准备发送消息');
+            // 更新状态
+            this.updateConversationStatus('speaking');
             
-            // 调用 ChatMessage 发送消息
-            if (typeof ChatMessage !== 'undefined' && typeof ChatMessage.sendMessage === 'function') {
-                await ChatMessage.sendMessage();
+            // 播放 TTS（使用异步处理）
+            if (this.autoTTS && responseText && typeof ChatTTS !== 'undefined') {
+                this.playTTSAndContinue(responseText).catch(err => {
+                    console.error('TTS 播放错误:', err);
+                    this.continueListening();
+                });
             } else {
-                // 降级：直接模拟点击发送
-                const sendBtn = document.getElementById('sendBtn');
-                if (sendBtn) {
-                    sendBtn.click();
-                }
+                // 没有 TTS（或回答出错、消息被取消），直接继续监听
+                console.log('跳过TTS，直接继续监听');
+                this.continueListening();
             }
-            
-        } catch (e) {
-            console.error('发送消息错误:', e);
-            layer.msg('发送失败: ' + e.message, { icon: 2 });
-            this.continueListening();
-        }
+        });
+        
+        console.log('🎤 对话模式: 消息已提交');
     },
     
     // 播放 TTS 并继续监听
@@ -61,21 +61,31 @@ async function loadAssistants() {
 // 构建空状态引导 HTML（没有书籍时显示）
 function buildEmptyState() {
     return `
-        <div class="empty-state">
+        <div class="empty-state" ondragover="ChatBooks.handleDragOver(event)" ondragleave="ChatBooks.handleDragLeave(event)" ondrop="ChatBooks.handleDrop(event)">
             <div class="empty-state-icon">📚</div>
             <div class="empty-state-title">还没有添加书籍</div>
             <div class="empty-state-desc">
-                将您的电子书文件（.epub、.txt 等）放入 books 目录，然后点击下方按钮刷新书籍列表，即可开始与书籍对话。
+                上传电子书文件（.epub、.txt），或将文件拖放到这里，即可开始与书籍对话。也可以把文件放入 books 目录后刷新书籍列表。
+            </div>
+            <div class="empty-state-actions">
+                <button class="empty-state-btn" onclick="ChatBooks.showBookList()">
+                    <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/>
+                        <polyline points="17 8 12 3 7 8"/>
+                        <line x1="12" y1="3" x2="12" y2="15"/>
+                    </svg>
+                    上传书籍
+                </button>
+                <button class="empty-state-btn secondary" onclick="ChatBooks.refreshBooks()">
+                    <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M21 12a9 9 0 0 0-9-9 9.75 9.75 0 0 0-6.74 2.74L3 8"/>
+                        <path d="M3 3v5h5"/>
+                        <path d="M3 12a9 9 0 0 0 9 9 9.75 9.75 0 0 0 6.74-2.74L21 16"/>
+                        <path d="M16 21h5v-5"/>
+                    </svg>
+                    刷新书籍列表
+                </button>
             </div>
-            <button class="empty-state-btn" onclick="ChatBooks.refreshBooks()">
-                <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                    <path d="M21 12a9 9 0 0 0-9-9 9.75 9.75 0 0 0-6.74 2.74L3 8"/>
-                    <path d="M3 3v5h5"/>
-                    <path d="M3 12a9 9 0 0 0 9 9 9.75 9.75 0 0 0 6.74-2.74L21 16"/>
-                    <path d="M16 21h5v-5"/>
-                </svg>
-                刷新书籍列表
-            </button>
         </div>
     `;
 }
@@ -115,11 +125,11 @@ function switchAssistant(assistantId) {
     // 保存当前助手的状态
     const prevState = ChatState.assistantStates[ChatState.currentAssistant];
     prevState.html = chatMessages.innerHTML;
+    ChatScroll.save(prevState);
     
     // 切换到新助手
     ChatState.currentAssistant = assistantId;
     const assistant = assistants[assistantId];
-    const newState = ChatState.assistantStates[assistantId];
     
     // 更新 UI
     document.querySelectorAll('.assistant-item').forEach(item => {
@@ -130,15 +140,9 @@ function switchAssistant(assistantId) {
     headerAvatar.style.background = assistant.color;
     headerTitle.textContent = assistant.name;
     
-    // 恢复或初始化聊天内容
-    if (newState.html) {
-        chatMessages.innerHTML = newState.html;
-    } else {
-        chatMessages.innerHTML = buildWelcomeMessage(assistant);
-    }
-    
-    // 滚动到底部
-    chatMessages.scrollTop = chatMessages.scrollHeight;
+    // 恢复或初始化聊天内容（含滚动位置）
+    ChatMessage.restoreTranscript();
+    ChatSidebar.renderThreadList();
     
     // 自动聚焦输入框
     const chatInput = document.getElementById('chatInput');
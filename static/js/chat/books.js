@@ -3,12 +3,21 @@
  */
 
 const ChatBooks = {
+    // 可上传的书籍格式
+    UPLOAD_EXTENSIONS: ['epub', 'txt'],
+    
     books: [],
     currentBook: null,
+    askBooks: [],           // 多书问答选中的书籍（文件名）
     sectionOpen: true,
+    uploads: [],            // 本次打开页面后的上传记录
+    uploadChain: Promise.resolve(),  // 上传逐个进行
     
     // 初始化
     async init() {
+        try {
+            this.askBooks = JSON.parse(localStorage.getItem('askBooks') || '[]');
+        } catch (e) {}
         await this.loadBooks();
         
         // 从 localStorage 恢复上次选择的书籍
@@ -33,6 +42,8 @@ const ChatBooks = {
             const data = result.data || result;
             this.books = data.books || [];
             this.currentBook = this.books.find(b => b.isSelected) || this.books[0];
+            // 书籍可能已被移走
+            this.askBooks = this.askBooks.filter(file => this.books.some(b => b.file === file));
         } catch (error) {
             console.error('加载书籍列表失败:', error);
         }
@@ -49,7 +60,7 @@ const ChatBooks = {
                 ? `${this.currentBook.chunkCount} 块` 
                 : '未索引';
             container.innerHTML = `
-                <span class="book-name" title="${this.currentBook.title}">${this.currentBook.title}</span>
+                <span class="book-name" title="${ChatUtils.escapeHtml(this.currentBook.title)}">${ChatUtils.escapeHtml(this.currentBook.title)}</span>
                 <span class="book-status">${statusIcon} ${statusText}</span>
             `;
         } else {
@@ -58,6 +69,25 @@ const ChatBooks = {
                 <span class="book-status">📂 请选择</span>
             `;
         }
+        this.updateAskBooksDisplay();
+    },
+    
+    // 更新多书问答的书籍显示
+    updateAskBooksDisplay() {
+        const container = document.getElementById('askBooks');
+        if (!container) return;
+        
+        const books = this.askBooks.map(file => this.books.find(b => b.file === file)).filter(Boolean);
+        container.style.display = books.length > 1 ? '' : 'none';
+        container.innerHTML = books.length <= 1 ? '' : `
+            <div class="ask-books-header">
+                <span>📚 多书问答 (${books.length} 本)</span>
+                <span class="ask-books-clear" title="恢复单本问答" onclick="ChatBooks.setAskBooks([])">✕</span>
+            </div>
+            ${books.map(book => `
+                <div class="ask-books-item" title="${ChatUtils.escapeHtml(book.title)}">${book.hasIndex ? '✅' : '⚠️'} ${ChatUtils.escapeHtml(book.title)}</div>
+            `).join('')}
+        `;
     },
     
     // 切换区域展开/收起
@@ -73,41 +103,22 @@ const ChatBooks = {
         }
     },
     
-    // 显示书籍列表弹窗
+    // 显示书籍列表弹窗（顶部为上传区域）
     showBookList() {
-        const content = this.books.length === 0 
-            ? '<div style="padding: 20px; text-align: center; color: #999;">books 目录中没有找到书籍文件<br><small>支持 .epub 和 .txt 格式</small></div>'
-            : `
-                <div class="book-list">
-                    ${this.books.map(book => `
-                        <div class="book-list-item ${book.isSelected ? 'selected' : ''}" data-file="${book.file}">
-                            <div class="book-info">
-                                <div class="book-title">${book.title}</div>
-                                <div class="book-meta">
-                                    ${book.author ? `<span>${book.author}</span>` : ''}
-                                    <span class="book-format">${book.format}</span>
-                                    <span>${book.fileSize}</span>
-                                </div>
-                            </div>
-                            <div class="book-index-status">
-                                ${book.hasIndex 
-                                    ? `<span class="index-ready">✅ 已索引<br><small>${book.chunkCount} 块</small></span>`
-                                    : `<button class="index-btn" onclick="ChatBooks.indexBook('${book.file}', event)">🔧 创建索引</button>`
-                                }
-                            </div>
-                        </div>
-                    `).join('')}
-                </div>
-            `;
-        
         layer.open({
             type: 1,
             title: '📚 选择书籍',
-            area: ['500px', '400px'],
-            content: content,
+            area: ['500px', '480px'],
+            content: `
+                <div class="book-upload-zone" onclick="ChatBooks.pickFiles()" ondragover="ChatBooks.handleDragOver(event)" ondragleave="ChatBooks.handleDragLeave(event)" ondrop="ChatBooks.handleDrop(event)">
+                    📥 拖放 .epub / .txt 文件到这里，或点击选择文件
+                </div>
+                <div class="book-upload-list" id="bookUploadList">${this.uploads.map(item => this.buildUploadItemHtml(item)).join('')}</div>
+                <div id="bookListContainer">${this.buildBookListHtml()}</div>
+            `,
             success: function(layero) {
                 // 绑定书籍选择事件
-                layero.find('.book-list-item').on('click', function(e) {
+                layero.find('#bookListContainer').on('click', '.book-list-item', function(e) {
                     if (e.target.classList.contains('index-btn')) return;
                     const file = this.dataset.file;
                     ChatBooks.selectBook(file);
@@ -116,6 +127,226 @@ const ChatBooks = {
         });
     },
     
+    // 书籍列表 HTML
+    buildBookListHtml() {
+        if (this.books.length === 0) {
+            return '<div style="padding: 20px; text-align: center; color: #999;">还没有书籍，上传或放入 books 目录<br><small>支持 .epub 和 .txt 格式</small></div>';
+        }
+        
+        const unindexed = this.books.filter(b => !b.hasIndex && !ChatIndexing.getStatus(b.file)).length;
+        return `
+            ${unindexed > 0 ? `
+                <div class="book-list-toolbar">
+                    <button class="index-btn" onclick="ChatIndexing.indexAll()">🔧 为所有未索引书籍创建索引 (${unindexed})</button>
+                </div>
+            ` : ''}
+            <div class="book-list">
+                ${this.books.map(book => `
+                    <div class="book-list-item ${book.isSelected ? 'selected' : ''}" data-file="${ChatUtils.escapeHtml(book.file)}">
+                        <div class="book-info">
+                            <div class="book-title">${ChatUtils.escapeHtml(book.title)}</div>
+                            <div class="book-meta">
+                                ${book.author ? `<span>${ChatUtils.escapeHtml(book.author)}</span>` : ''}
+                                <span class="book-format">${ChatUtils.escapeHtml(book.format)}</span>
+                                <span>${ChatUtils.escapeHtml(book.fileSize)}</span>
+                            </div>
+                        </div>
+                        <div class="book-index-status">
+                            ${this.buildIndexStatusHtml(book)}
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    },
+    
+    // 书籍的索引状态与操作
+    buildIndexStatusHtml(book) {
+        const status = ChatIndexing.getStatus(book.file);
+        const file = "this.closest('.book-list-item').dataset.file";
+        
+        if (status === 'running') {
+            return `
+                <span class="index-running">🔧 ${ChatIndexing.progress.percent}%</span>
+                <button class="index-link-btn" onclick="ChatBooks.cancelIndexBook(${file}, event)">取消</button>
+            `;
+        }
+        if (status === 'queued') {
+            return `
+                <span class="index-queued">⏳ 排队中</span>
+                <button class="index-link-btn" onclick="ChatBooks.cancelIndexBook(${file}, event)">取消</button>
+            `;
+        }
+        if (book.hasIndex) {
+            return `
+                <span class="index-ready">✅ 已索引<br><small>${book.chunkCount} 块</small></span>
+                <button class="index-link-btn" onclick="ChatBooks.reindexBook(${file}, event)">重新索引</button>
+            `;
+        }
+        return `<button class="index-btn" onclick="ChatBooks.indexBook(${file}, event)">🔧 创建索引</button>`;
+    },
+    
+    // 刷新打开中的书籍列表弹窗
+    renderBookList() {
+        const container = document.getElementById('bookListContainer');
+        if (container) container.innerHTML = this.buildBookListHtml();
+    },
+    
+    // 选择要上传的文件
+    pickFiles() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.multiple = true;
+        input.accept = this.UPLOAD_EXTENSIONS.map(ext => '.' + ext).join(',');
+        input.addEventListener('change', () => this.uploadFiles(input.files));
+        input.click();
+    },
+    
+    // 拖放上传（书籍列表弹窗和空状态引导共用）
+    handleDragOver(event) {
+        event.preventDefault();
+        event.currentTarget.classList.add('dragover');
+    },
+    
+    handleDragLeave(event) {
+        event.currentTarget.classList.remove('dragover');
+    },
+    
+    handleDrop(event) {
+        event.preventDefault();
+        event.currentTarget.classList.remove('dragover');
+        
+        // 在弹窗外拖放时打开书籍列表，显示上传进度
+        if (!document.getElementById('bookUploadList')) {
+            this.showBookList();
+        }
+        this.uploadFiles(event.dataTransfer.files);
+    },
+    
+    // 上传多个文件：格式不支持或与已有书籍同名的直接跳过，其余依次上传
+    uploadFiles(files) {
+        for (const file of files) {
+            const ext = file.name.split('.').pop().toLowerCase();
+            const item = { id: this.uploads.length + 1, name: file.name, status: 'pending', progress: 0, message: '等待上传' };
+            this.uploads.unshift(item);
+            
+            if (!this.UPLOAD_EXTENSIONS.includes(ext)) {
+                Object.assign(item, { status: 'error', message: '不支持的格式，仅支持 EPUB 和 TXT' });
+            } else if (this.books.some(b => b.file === file.name)
+                || this.uploads.some(u => u !== item && u.name === file.name && (u.status === 'pending' || u.status === 'uploading'))) {
+                Object.assign(item, { status: 'duplicate', message: '已存在同名书籍，已跳过', file: file.name });
+            } else {
+                this.uploadChain = this.uploadChain.then(() => this.uploadFile(item, file));
+            }
+            
+            const list = document.getElementById('bookUploadList');
+            if (list) list.insertAdjacentHTML('afterbegin', this.buildUploadItemHtml(item));
+        }
+    },
+    
+    // 上传单个文件（使用 XMLHttpRequest 以获得上传进度）
+    uploadFile(item, file) {
+        return new Promise(resolve => {
+            const formData = new FormData();
+            formData.append('file', file);
+            
+            const xhr = new XMLHttpRequest();
+            xhr.open('POST', `${ChatConfig.API_BASE}/api/books/upload`);
+            xhr.upload.onprogress = (e) => {
+                if (!e.lengthComputable) return;
+                Object.assign(item, { progress: Math.round(e.loaded / e.total * 100), message: `上传中 ${Math.round(e.loaded / e.total * 100)}%` });
+                this.updateUploadItem(item);
+            };
+            xhr.onload = async () => {
+                let result;
+                try {
+                    const data = JSON.parse(xhr.responseText);
+                    result = data.data || data;
+                } catch (e) {
+                    result = { success: false, error: { message: `服务端响应无效 (${xhr.status})` } };
+                }
+                
+                if (!result.success) {
+                    Object.assign(item, { status: 'error', message: result.error?.message || '上传失败' });
+                } else if (result.existed) {
+                    Object.assign(item, { status: 'duplicate', message: `${result.message}：${result.file}`, file: result.file });
+                } else {
+                    Object.assign(item, { status: 'done', progress: 100, message: '上传成功', file: result.file });
+                    await this.onBookUploaded(result.file);
+                }
+                this.updateUploadItem(item);
+                resolve();
+            };
+            xhr.onerror = () => {
+                Object.assign(item, { status: 'error', message: '网络错误，上传失败' });
+                this.updateUploadItem(item);
+                resolve();
+            };
+            
+            Object.assign(item, { status: 'uploading', message: '上传中 0%' });
+            this.updateUploadItem(item);
+            xhr.send(formData);
+        });
+    },
+    
+    // 上传完成：刷新书籍列表（首本书籍上传后更新空状态引导）
+    async onBookUploaded(file) {
+        const wasEmpty = this.books.length === 0;
+        await this.loadBooks();
+        this.updateCurrentBookDisplay();
+        
+        const container = document.getElementById('bookListContainer');
+        if (container) {
+            this.renderBookList();
+        } else {
+            // 弹窗已关闭，改为询问是否创建索引
+            const book = this.books.find(b => b.file === file);
+            layer.confirm(`《${ChatUtils.escapeHtml(book ? book.title : file)}》上传成功，是否现在创建索引？`, {
+                btn: ['创建索引', '稍后再说']
+            }, (index) => {
+                layer.close(index);
+                this.indexBook(file);
+            });
+        }
+        
+        if (wasEmpty) {
+            await ChatAssistants.loadAssistants();
+            const state = ChatState.getCurrentState();
+            if (state.history.length === 0) {
+                state.html = null;
+                ChatMessage.restoreTranscript();
+            }
+        }
+    },
+    
+    // 上传记录 HTML（上传成功且未索引的书籍可直接创建索引）
+    buildUploadItemHtml(item) {
+        const icons = { pending: '⏳', uploading: '📤', done: '✅', duplicate: '📚', error: '❌' };
+        const book = item.file && this.books.find(b => b.file === item.file);
+        return `
+            <div class="book-upload-item ${item.status}" data-upload="${item.id}">
+                <div class="book-upload-info">
+                    <span class="book-upload-name">${icons[item.status]} ${ChatUtils.escapeHtml(item.name)}</span>
+                    <span class="book-upload-message">${ChatUtils.escapeHtml(item.message)}</span>
+                    ${item.status === 'done' && book && !book.hasIndex && !ChatIndexing.getStatus(book.file)
+                        ? `<button class="index-btn" onclick="ChatBooks.indexBook(${ChatUtils.escapeHtml(JSON.stringify(item.file))}, event)">🔧 创建索引</button>`
+                        : ''}
+                </div>
+                ${item.status === 'uploading' ? `
+                    <div class="progress-bar-container">
+                        <div class="progress-bar" style="width: ${item.progress}%"></div>
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    },
+    
+    // 更新弹窗中的上传记录
+    updateUploadItem(item) {
+        const el = document.querySelector(`#bookUploadList [data-upload="${item.id}"]`);
+        if (el) el.outerHTML = this.buildUploadItemHtml(item);
+    },
+    
     // 选择书籍
     async selectBook(file) {
         try {
@@ -127,10 +358,7 @@ const ChatBooks = {
             const result = await response.json();
             
             if (result.success) {
-                // 更新本地状态
-                this.books.forEach(b => b.isSelected = (b.file === file));
-                this.currentBook = this.books.find(b => b.file === file);
-                this.updateCurrentBookDisplay();
+                this.applyBook(file);
                 
                 // 保存到 localStorage 记住选择
                 localStorage.setItem('selectedBook', file);
@@ -160,6 +388,13 @@ const ChatBooks = {
         }
     },
     
+    // 更新本地的当前书籍和显示（不请求服务端，其他标签页同步时也使用）
+    applyBook(file) {
+        this.books.forEach(b => b.isSelected = (b.file === file));
+        this.currentBook = this.books.find(b => b.file === file);
+        this.updateCurrentBookDisplay();
+    },
+    
     // 静默选择书籍（页面加载时恢复，不显示提示）
     async selectBookSilent(file) {
         try {
@@ -181,65 +416,22 @@ const ChatBooks = {
         }
     },
     
-    // 创建书籍索引
-    async indexBook(file, event) {
+    // 创建书籍索引（加入后台索引队列）
+    indexBook(file, event) {
         if (event) event.stopPropagation();
-        
-        // 显示进度弹窗
-        const progressLayer = layer.open({
-            type: 1,
-            title: '🔧 创建索引',
-            area: ['400px', '200px'],
-            closeBtn: 0,
-            content: `
-                <div class="index-progress">
-                    <div class="progress-text" id="indexProgressText">准备中...</div>
-                    <div class="progress-bar-container">
-                        <div class="progress-bar" id="indexProgressBar" style="width: 0%"></div>
-                    </div>
-                </div>
-            `
-        });
-        
-        try {
-            const response = await fetch(`${ChatConfig.API_BASE}/api/books/index`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ book: file })
-            });
-            
-            const reader = response.body.getReader();
-            const decoder = new TextDecoder();
-            let buffer = '';
-            
-            while (true) {
-                const { done, value } = await reader.read();
-                if (done) break;
-                
-                buffer += decoder.decode(value, { stream: true });
-                const lines = buffer.split('\n');
-                buffer = lines.pop() || '';
-                
-                let currentEvent = null;
-                let dataLines = [];
-                
-                for (const line of lines) {
-                    if (line.startsWith('event: ')) {
-                        currentEvent = line.slice(7);
-                        dataLines = [];
-                    } else if (line.startsWith('data: ')) {
-                        dataLines.push(line.slice(6));
-                    } else if (line === '' && currentEvent) {
-                        const data = dataLines.join('\n');
-                        this.handleIndexProgress(currentEvent, data);
-                        currentEvent = null;
-                    }
-                }
-            }
-            
-        } catch (error) {
-            document.getElementById('indexProgressText').textContent = '❌ 索引创建失败: ' + error.message;
-        }
+        ChatIndexing.enqueue(file);
+    },
+    
+    // 重新索引
+    reindexBook(file, event) {
+        if (event) event.stopPropagation();
+        ChatIndexing.reindex(file);
+    },
+    
+    // 取消索引
+    cancelIndexBook(file, event) {
+        if (event) event.stopPropagation();
+        ChatIndexing.cancel(file);
     },
     
     // 获取当前选中的书籍文件名
@@ -247,38 +439,68 @@ const ChatBooks = {
         return this.currentBook?.file || null;
     },
     
-    // 处理索引进度
-    handleIndexProgress(event, data) {
-        const progressText = document.getElementById('indexProgressText');
-        const progressBar = document.getElementById('indexProgressBar');
+    // 显示多书问答的书籍选择弹窗
+    showAskBookPicker() {
+        if (this.books.length < 2) {
+            layer.msg('⚠️ 至少需要两本书籍才能进行多书问答', { icon: 0 });
+            return;
+        }
         
-        try {
-            const info = JSON.parse(data);
-            
-            if (event === 'progress') {
-                progressText.textContent = info.message;
-                if (info.progress) {
-                    progressBar.style.width = info.progress + '%';
+        // 未设置时默认勾选当前书籍
+        const checked = this.askBooks.length > 0 ? this.askBooks : [this.getCurrentBook()];
+        layer.open({
+            type: 1,
+            title: '📚 多书问答',
+            area: ['500px', '480px'],
+            btn: ['确定', '恢复单本问答'],
+            content: `
+                <div class="ask-books-tip">书籍问答助手将在勾选的书籍中同时检索，回答的来源按书分组。未索引的书籍只能依靠 AI 已有的知识。</div>
+                <div class="book-list">
+                    ${this.books.map(book => `
+                        <label class="book-list-item">
+                            <input type="checkbox" class="ask-books-checkbox" value="${ChatUtils.escapeHtml(book.file)}" ${checked.includes(book.file) ? 'checked' : ''}>
+                            <div class="book-info">
+                                <div class="book-title">${ChatUtils.escapeHtml(book.title)}</div>
+                                <div class="book-meta">
+                                    ${book.author ? `<span>${ChatUtils.escapeHtml(book.author)}</span>` : ''}
+                                    <span class="book-format">${ChatUtils.escapeHtml(book.format)}</span>
+                                </div>
+                            </div>
+                            <span class="${book.hasIndex ? 'index-ready' : 'index-queued'}">${book.hasIndex ? '✅ 已索引' : '⚠️ 未索引'}</span>
+                        </label>
+                    `).join('')}
+                </div>
+            `,
+            yes: (index, layero) => {
+                const files = layero.find('.ask-books-checkbox:checked').toArray().map(input => input.value);
+                if (files.length < 2) {
+                    layer.msg('请至少勾选两本书籍');
+                    return;
                 }
-            } else if (event === 'done') {
-                progressText.textContent = '✅ ' + info.message;
-                progressBar.style.width = '100%';
-                progressBar.style.background = '#4caf50';
-                
-                // 刷新书籍列表
-                setTimeout(async () => {
-                    await this.loadBooks();
-                    this.updateCurrentBookDisplay();
-                    layer.closeAll();
-                    layer.msg('索引创建成功！');
-                }, 1500);
-            } else if (event === 'error') {
-                progressText.textContent = '❌ 错误: ' + data;
-                progressBar.style.background = '#f44336';
+                this.setAskBooks(files);
+                layer.close(index);
+                layer.msg(`📚 已选择 ${files.length} 本书籍进行问答`);
+            },
+            btn2: () => {
+                this.setAskBooks([]);
             }
-        } catch (e) {
-            progressText.textContent = data;
+        });
+    },
+    
+    // 设置多书问答的书籍（少于两本即恢复单本问答）
+    setAskBooks(files) {
+        this.askBooks = files.length > 1 ? files : [];
+        if (this.askBooks.length > 0) {
+            localStorage.setItem('askBooks', JSON.stringify(this.askBooks));
+        } else {
+            localStorage.removeItem('askBooks');
         }
+        this.updateAskBooksDisplay();
+    },
+    
+    // 多书问答的书籍（未启用时为 null）
+    getAskBooks() {
+        return this.askBooks.length > 1 ? [...this.askBooks] : null;
     },
     
     // 刷新书籍列表（供空状态引导使用）
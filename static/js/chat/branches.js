@@ -0,0 +1,70 @@
+/**
+ * 对话分支模块
+ *
+ * 编辑之前的用户消息时，对话从该处分叉成树。thread.history 始终是当前激活的分支路径，
+ * 其余分支保存在分叉点消息上：
+ * { role: 'user', content, siblings: [tail | null, ...], siblingIndex }
+ * siblings 中每一项是从分叉点开始的一段消息（含之后的所有回答），当前激活的那一项为 null。
+ * 分支内部还可以继续分叉，结构随消息一起持久化。
+ */
+
+const ChatBranches = {
+    // 获取分叉点信息：{ index: 当前分支序号, count: 分支总数 }
+    getInfo(message) {
+        if (!message || !message.siblings) return null;
+        return { index: message.siblingIndex, count: message.siblings.length };
+    },
+
+    // 对话是否存在分支（存在时请求需要携带当前分支的历史）
+    isBranched(thread) {
+        return thread.history.some(m => m.siblings);
+    },
+
+    // 从 index 处的用户消息分叉，新分支以 content 开头并成为当前分支
+    fork(thread, index, content) {
+        const original = thread.history[index];
+        const siblings = original.siblings || [null];
+        const from = original.siblingIndex || 0;
+
+        siblings[from] = this.detach(thread, index);
+        siblings.push(null);
+
+        const message = {
+            role: 'user',
+            content: content,
+            createdAt: Date.now(),
+            siblings: siblings,
+            siblingIndex: siblings.length - 1
+        };
+        thread.history.push(message);
+        return message;
+    },
+
+    // 切换 index 处分叉点的分支
+    switchTo(thread, index, target) {
+        const current = thread.history[index];
+        const info = this.getInfo(current);
+        if (!info || target < 0 || target >= info.count || target === info.index) return false;
+
+        const siblings = current.siblings;
+        siblings[info.index] = this.detach(thread, index);
+
+        const tail = siblings[target];
+        siblings[target] = null;
+        tail[0].siblings = siblings;
+        tail[0].siblingIndex = target;
+        thread.history.push(...tail);
+        return true;
+    },
+
+    // 从历史中取下 index 之后的消息（分叉信息留在分叉点上，不随分支保存）
+    detach(thread, index) {
+        const tail = thread.history.splice(index);
+        delete tail[0].siblings;
+        delete tail[0].siblingIndex;
+        return tail;
+    }
+};
+
+// 导出
+window.ChatBranches = ChatBranches;
@@ -0,0 +1,253 @@
+/**
+ * 检索来源引用模块
+ *
+ * - 回答下方显示全部检索来源的编号列表，默认只展开前几条，可展开/收起
+ * - 回答正文中的 [n] 转为指向第 n 条来源的引用标记，悬停显示片段和相关度，点击定位到列表
+ * - 片段中与提问相同的词语高亮；sources 事件带有章节、分块位置时一并显示
+ * - 多书问答的来源带有 book / bookTitle，按书分组显示，编号在各组间连续
+ * - 带有 book 和分块编号的来源可在阅读器中打开原文
+ * 引用标记在净化后的 DOM 上处理，浮层内容直接取自同一消息的来源列表。
+ */
+
+const ChatCitations = {
+    // 收起时显示的来源数
+    COLLAPSED_COUNT: 3,
+
+    // 高亮词的最短长度（纯 ASCII 的词至少 3 个字符，避免高亮 "th" 之类的片段）
+    MIN_TERM_LENGTH: 2,
+    MIN_ASCII_TERM_LENGTH: 3,
+
+    // 引用标记：[1]、[1, 2]、[1][2]
+    CITATION_PATTERN: /\[(\d{1,2}(?:\s*[,，]\s*\d{1,2})*)\]/g,
+
+    // 不处理引用标记的区域
+    SKIP_SELECTOR: 'pre, code, a, .thinking-container, .tool-calls, .sources-container, .usage-container, .message-actions, .diagram, .variant-nav',
+
+    popover: null,
+
+    // 初始化悬停浮层（事件委托在消息列表上）
+    init() {
+        const chatMessages = document.getElementById('chatMessages');
+        chatMessages.addEventListener('mouseover', (e) => {
+            const citation = e.target.closest('.citation');
+            if (citation) this.showPopover(citation);
+        });
+        chatMessages.addEventListener('mouseout', (e) => {
+            if (e.target.closest('.citation')) this.hidePopover();
+        });
+        chatMessages.addEventListener('click', (e) => {
+            const citation = e.target.closest('.citation');
+            if (citation) this.scrollToSource(citation);
+        });
+    },
+
+    // 来源列表 HTML（query 为对应的提问，用于高亮）
+    buildSourcesHtml(sources, query = '') {
+        if (!sources || sources.length === 0) return '';
+
+        // 收起时每本书各显示前几条
+        const groups = this.groupByBook(sources);
+        const collapsible = groups.some(group => group.items.length > this.COLLAPSED_COUNT);
+        return `
+            <div class="sources-container ${collapsible ? 'collapsed' : ''}">
+                <div class="sources-title" ${collapsible ? 'onclick="this.parentElement.classList.toggle(\'collapsed\')"' : ''}>
+                    📚 检索来源 (${sources.length})${groups.length > 1 ? ` · ${groups.length} 本书` : ''}
+                    ${collapsible ? '<span class="sources-toggle"><span class="sources-more">展开全部</span><span class="sources-less">收起</span></span>' : ''}
+                </div>
+                ${groups.map(group => `
+                    <div class="source-group" ${group.title ? `data-title="${ChatUtils.escapeHtml(group.title)}"` : ''}>
+                        ${group.title ? `<div class="source-group-title">📖 《${ChatUtils.escapeHtml(group.title)}》 (${group.items.length})</div>` : ''}
+                        <ol class="source-list">
+                            ${group.items.map(({ source, number }) => `
+                                <li class="source-item" data-source="${number}">
+                                    <div class="source-header">
+                                        <span class="source-index">[${number}]</span>
+                                        <span class="source-score">${ChatUtils.escapeHtml(source.score)}%</span>
+                                        ${this.buildMetaHtml(source)}
+                                        ${this.buildOpenHtml(source)}
+                                    </div>
+                                    <div class="source-text">${this.highlight(String(source.text || ''), query)}</div>
+                                </li>
+                            `).join('')}
+                        </ol>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    },
+
+    // 按书分组（保持首次出现的顺序），只有多书问答的来源带书名，单本书的来源不显示分组标题
+    groupByBook(sources) {
+        const groups = [];
+        sources.forEach((source, i) => {
+            const key = source.book || '';
+            let group = groups.find(g => g.key === key);
+            if (!group) {
+                group = { key: key, title: source.bookTitle || '', items: [] };
+                groups.push(group);
+            }
+            group.items.push({ source: source, number: i + 1 });
+        });
+        return groups;
+    },
+
+    // 章节和分块位置（有则显示）
+    buildMetaHtml(source) {
+        const parts = [];
+        if (source.chapter) parts.push(source.chapter);
+        if (source.chunk !== undefined && source.chunk !== null) parts.push(`第 ${Number(source.chunk) + 1} 段`);
+        return parts.length > 0 ? `<span class="source-meta">${ChatUtils.escapeHtml(parts.join(' · '))}</span>` : '';
+    },
+
+    // 在阅读器中打开原文的链接
+    buildOpenHtml(source) {
+        if (!source.book || source.chunk === undefined || source.chunk === null) return '';
+        return `<span class="source-open" title="在阅读器中查看上下文" onclick="ChatReader.openSource(${ChatUtils.escapeHtml(JSON.stringify(source.book))}, ${Number(source.chunk)})">📖 原文</span>`;
+    },
+
+    // 查找片段中与提问相同的最长词语（中文没有空格分词，按公共子串匹配）
+    findTerms(text, query) {
+        const ranges = [];
+        const lowerText = text.toLowerCase();
+        const lowerQuery = query.toLowerCase();
+        if (!lowerQuery.trim()) return ranges;
+
+        let i = 0;
+        while (i < lowerText.length) {
+            // 高亮范围不含首尾空白
+            if (/\s/.test(lowerText[i])) {
+                i++;
+                continue;
+            }
+
+            let length = 0;
+            while (i + length < lowerText.length && lowerQuery.includes(lowerText.slice(i, i + length + 1))) {
+                length++;
+            }
+
+            const term = lowerText.slice(i, i + length).trimEnd();
+            const minLength = /^[\x00-\x7f]*$/.test(term) ? this.MIN_ASCII_TERM_LENGTH : this.MIN_TERM_LENGTH;
+            if (term.length >= minLength && /[\p{L}\p{N}]/u.test(term)) {
+                ranges.push([i, i + term.length]);
+                i += length;
+            } else {
+                i++;
+            }
+        }
+        return ranges;
+    },
+
+    // 转义文本并用 <mark> 包裹与提问相同的词语
+    highlight(text, query) {
+        let html = '';
+        let last = 0;
+        for (const [start, end] of this.findTerms(text, query)) {
+            html += ChatUtils.escapeHtml(text.slice(last, start)) + `<mark>${ChatUtils.escapeHtml(text.slice(start, end))}</mark>`;
+            last = end;
+        }
+        return html + ChatUtils.escapeHtml(text.slice(last));
+    },
+
+    // 将正文中的 [n] 转为引用标记（只转换有对应来源的编号）
+    link(root) {
+        const count = root.querySelectorAll('.source-list > .source-item').length;
+        if (count === 0) return;
+
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+        const nodes = [];
+        while (walker.nextNode()) {
+            const node = walker.currentNode;
+            if (node.nodeValue.includes('[') && !node.parentElement.closest(this.SKIP_SELECTOR) && !node.parentElement.closest('.citation')) {
+                nodes.push(node);
+            }
+        }
+
+        for (const node of nodes) {
+            const text = node.nodeValue;
+            const fragment = document.createDocumentFragment();
+            let last = 0;
+            let linked = false;
+
+            for (const match of text.matchAll(this.CITATION_PATTERN)) {
+                const numbers = match[1].split(/[,，]/).map(n => parseInt(n, 10));
+                if (numbers.some(n => n < 1 || n > count)) continue;
+
+                fragment.append(text.slice(last, match.index));
+                numbers.forEach(n => {
+                    const sup = document.createElement('sup');
+                    sup.className = 'citation';
+                    sup.dataset.source = n;
+                    sup.textContent = `[${n}]`;
+                    fragment.append(sup);
+                });
+                last = match.index + match[0].length;
+                linked = true;
+            }
+
+            if (linked) {
+                fragment.append(text.slice(last));
+                node.replaceWith(fragment);
+            }
+        }
+    },
+
+    // 引用标记对应的来源条目
+    getSourceItem(citation) {
+        const content = citation.closest('.message-content');
+        return content && content.querySelector(`.source-list > .source-item[data-source="${citation.dataset.source}"]`);
+    },
+
+    // 悬停显示来源片段和相关度
+    showPopover(citation) {
+        const item = this.getSourceItem(citation);
+        if (!item) return;
+
+        if (!this.popover) {
+            this.popover = document.createElement('div');
+            this.popover.className = 'citation-popover';
+            document.body.appendChild(this.popover);
+        }
+
+        // 浮层随鼠标移出消失，不显示「原文」链接
+        const header = item.querySelector('.source-header').cloneNode(true);
+        header.querySelectorAll('.source-open').forEach(el => el.remove());
+        const group = item.closest('.source-group');
+        const title = group && group.dataset.title;
+        this.popover.innerHTML = `
+            ${title ? `<div class="source-group-title">📖 《${ChatUtils.escapeHtml(title)}》</div>` : ''}
+            <div class="source-header">${header.innerHTML}</div>
+            <div class="source-text">${item.querySelector('.source-text').innerHTML}</div>
+        `;
+        this.popover.style.display = 'block';
+
+        // 优先显示在标记上方，空间不足时显示在下方
+        const rect = citation.getBoundingClientRect();
+        const width = this.popover.offsetWidth;
+        const height = this.popover.offsetHeight;
+        const left = Math.max(8, Math.min(rect.left, window.innerWidth - width - 8));
+        const top = rect.top - height - 6 >= 8 ? rect.top - height - 6 : rect.bottom + 6;
+        this.popover.style.left = left + 'px';
+        this.popover.style.top = top + 'px';
+    },
+
+    // 隐藏浮层
+    hidePopover() {
+        if (this.popover) this.popover.style.display = 'none';
+    },
+
+    // 点击定位到来源列表中的条目（必要时展开列表）
+    scrollToSource(citation) {
+        const item = this.getSourceItem(citation);
+        if (!item) return;
+
+        this.hidePopover();
+        item.closest('.sources-container').classList.remove('collapsed');
+        item.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        item.classList.remove('source-highlight');
+        void item.offsetWidth;
+        item.classList.add('source-highlight');
+    }
+};
+
+// 导出
+window.ChatCitations = ChatCitations;
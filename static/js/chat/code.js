@@ -0,0 +1,101 @@
+/**
+ * 代码块增强模块
+ *
+ * 在净化后的 DOM 上处理 <pre><code>：用本地打包的 highlight.js 高亮，
+ * 并加上显示语言、自动换行、复制、下载按钮的标题栏。
+ * 只处理 DOM 文本，不生成需要再次净化的 HTML；已处理过的代码块会跳过。
+ * 流式输出时末尾未完成的代码块只加标题栏，完整后再高亮，避免每次更新都重新高亮整块代码。
+ */
+
+const ChatCode = {
+    // 自动换行偏好
+    WRAP_STORAGE_KEY: 'codeWrap',
+
+    // 下载时的文件扩展名（未列出的短语言名直接作为扩展名）
+    EXTENSIONS: {
+        javascript: 'js', typescript: 'ts', python: 'py', shell: 'sh', bash: 'sh', zsh: 'sh',
+        csharp: 'cs', 'c#': 'cs', 'c++': 'cpp', rust: 'rs', ruby: 'rb', kotlin: 'kt',
+        markdown: 'md', yaml: 'yml', xml: 'xml', html: 'html', golang: 'go', perl: 'pl',
+        makefile: 'mk', plaintext: 'txt', text: 'txt',
+    },
+
+    // 增强 root 下的所有代码块
+    // highlight: false 时只加标题栏（用于流式输出中未完成的部分）
+    enhance(root, { highlight = true } = {}) {
+        const wrap = localStorage.getItem(this.WRAP_STORAGE_KEY) === 'true';
+
+        root.querySelectorAll('pre > code').forEach(code => {
+            const pre = code.parentElement;
+            if (pre.parentElement && pre.parentElement.classList.contains('code-block')) return;
+
+            const lang = this.getLanguage(code);
+            if (highlight && lang && window.hljs && hljs.getLanguage(lang)) {
+                hljs.highlightElement(code);
+            }
+
+            const block = document.createElement('div');
+            block.className = 'code-block' + (wrap ? ' wrap' : '');
+            block.dataset.lang = lang;
+            block.appendChild(this.createHeader(lang || 'text'));
+            pre.replaceWith(block);
+            block.appendChild(pre);
+        });
+    },
+
+    // 从 marked 生成的 class="language-xxx" 读取语言
+    getLanguage(code) {
+        const match = code.className.match(/(?:^|\s)language-([\w+#.-]+)/);
+        return match ? match[1].toLowerCase() : '';
+    },
+
+    // 标题栏（按钮使用内联事件，保存的 innerHTML 快照恢复后仍可用）
+    createHeader(label) {
+        const header = document.createElement('div');
+        header.className = 'code-block-header';
+        header.innerHTML = `
+            <span class="code-block-lang"></span>
+            <span class="code-block-actions">
+                <button class="code-block-btn" title="自动换行" onclick="ChatCode.toggleWrap(this)">↩ 换行</button>
+                <button class="code-block-btn" title="复制代码" onclick="ChatCode.copy(this)">📋 复制</button>
+                <button class="code-block-btn" title="下载为文件" onclick="ChatCode.download(this)">⬇ 下载</button>
+            </span>
+        `;
+        header.querySelector('.code-block-lang').textContent = label;
+        return header;
+    },
+
+    // 按钮所在代码块
+    getBlock(button) {
+        const block = button.closest('.code-block');
+        return { block, text: block.querySelector('pre > code').textContent };
+    },
+
+    // 切换自动换行（同时记住偏好，之后的代码块沿用）
+    toggleWrap(button) {
+        const { block } = this.getBlock(button);
+        const wrap = block.classList.toggle('wrap');
+        localStorage.setItem(this.WRAP_STORAGE_KEY, wrap);
+    },
+
+    // 复制代码
+    copy(button) {
+        const { text } = this.getBlock(button);
+        navigator.clipboard.writeText(text).then(() => {
+            layer.msg('✅ 代码已复制');
+        }).catch(err => {
+            console.error('复制失败:', err);
+            layer.msg('复制失败', { icon: 2 });
+        });
+    },
+
+    // 下载为文件
+    download(button) {
+        const { block, text } = this.getBlock(button);
+        const lang = block.dataset.lang;
+        const ext = this.EXTENSIONS[lang] || (/^[a-z0-9]{1,5}$/.test(lang) ? lang : 'txt');
+        ChatExport.download(`code.${ext}`, text, 'text/plain');
+    }
+};
+
+// 导出
+window.ChatCode = ChatCode;
@@ -0,0 +1,176 @@
+/**
+ * 数学公式与图表渲染模块
+ *
+ * 解析阶段：为 marked 注册 $…$ / $$…$$ 扩展，公式原样输出为 <code class="language-math">，
+ * 避免其中的 _ * \ 被当作 Markdown 语法；```mermaid 围栏由 marked 输出为 <code class="language-mermaid">。
+ * 两者都能通过 ChatSanitizer，流式输出时先以源码显示，不会因为公式或图表未写完而反复闪烁。
+ * 渲染阶段：回答完成（或从历史恢复）后用本地打包的 KaTeX / mermaid 排版，
+ * 原始代码保留在节点中，点击「源码」即可切换。mermaid 体积较大，首次遇到图表时才加载。
+ */
+
+const ChatDiagrams = {
+    // mermaid 脚本路径（相对 pages/ 下的页面）
+    MERMAID_SRC: '../static/js/mermaid.min.js',
+
+    mermaidPromise: null,
+    diagramCount: 0,
+
+    // 注册 marked 公式扩展
+    registerMarkedExtension() {
+        const escape = ChatUtils.escapeHtml;
+
+        marked.use({
+            extensions: [{
+                // 独占一段的 $$…$$
+                name: 'mathBlock',
+                level: 'block',
+                start: (src) => src.match(/^ {0,3}\$\$/m)?.index,
+                tokenizer(src) {
+                    const match = src.match(/^ {0,3}\$\$([\s\S]+?)\$\$[ \t]*(?:\n+|$)/);
+                    if (match) {
+                        return { type: 'mathBlock', raw: match[0], text: match[1].trim() };
+                    }
+                },
+                renderer: (token) => `<pre><code class="language-math-display">${escape(token.text)}</code></pre>\n`
+            }, {
+                // 行内 $…$（首尾不能是空白，结束符后不能紧跟数字，避免把「$5 和 $10」当作公式）和行内 $$…$$
+                name: 'mathInline',
+                level: 'inline',
+                start: (src) => src.indexOf('$') === -1 ? undefined : src.indexOf('$'),
+                tokenizer(src) {
+                    const match = src.match(/^\$\$((?:\\.|[^\\$])+?)\$\$/)
+                        || src.match(/^\$(?!\s)((?:\\.|[^\\$\n])+?)(?<!\s)\$(?!\d)/);
+                    if (match) {
+                        return { type: 'mathInline', raw: match[0], text: match[1].trim(), display: match[0].startsWith('$$') };
+                    }
+                },
+                renderer: (token) => `<code class="${token.display ? 'language-math-display' : 'language-math'}">${escape(token.text)}</code>`
+            }]
+        });
+    },
+
+    // 渲染 root 下的公式和图表（已渲染的节点会跳过）
+    async render(root) {
+        this.renderMath(root);
+
+        const diagrams = [...root.querySelectorAll('pre > code.language-mermaid')]
+            .filter(code => !code.closest('.diagram') && !code.dataset.failed);
+        if (diagrams.length === 0) return;
+
+        try {
+            await this.loadMermaid();
+        } catch (error) {
+            console.warn('⚠️ 加载 mermaid 失败:', error);
+            return;
+        }
+
+        for (const code of diagrams) {
+            await this.renderDiagram(code);
+        }
+    },
+
+    // 用 KaTeX 排版公式
+    renderMath(root) {
+        if (!window.katex) return;
+
+        root.querySelectorAll('code.language-math, code.language-math-display').forEach(code => {
+            if (code.closest('.diagram')) return;
+
+            // 段落中的 $$…$$ 也按公式块排版，但仍作为行内节点切换
+            const display = code.classList.contains('language-math-display');
+            const tag = code.closest('pre') ? 'div' : 'span';
+            const rendered = document.createElement(tag);
+            katex.render(code.textContent, rendered, { displayMode: display, throwOnError: false });
+
+            this.wrap(tag === 'div' ? this.getSourceNode(code) : code, rendered, tag);
+        });
+    },
+
+    // 用 mermaid 绘制图表（语法错误时保留源码并提示）
+    async renderDiagram(code) {
+        const id = `mermaid-${Date.now()}-${this.diagramCount++}`;
+        const rendered = document.createElement('div');
+
+        try {
+            const { svg } = await mermaid.render(id, code.textContent);
+            rendered.innerHTML = svg;
+        } catch (error) {
+            // mermaid 渲染失败时会在 body 中留下错误节点
+            document.getElementById('d' + id)?.remove();
+            console.warn('⚠️ 图表渲染失败:', error);
+            code.dataset.failed = '1';
+            const note = document.createElement('div');
+            note.className = 'diagram-error';
+            note.textContent = `⚠️ 图表语法有误，已显示源码（${String(error.message || error).split('\n')[0]}）`;
+            this.getSourceNode(code).before(note);
+            return;
+        }
+
+        this.wrap(this.getSourceNode(code), rendered, 'div');
+    },
+
+    // 代码块可能已被 ChatCode 包上标题栏，源码节点取最外层
+    getSourceNode(code) {
+        return code.closest('.code-block') || code.closest('pre') || code;
+    },
+
+    // 用「渲染结果 + 隐藏的源码」替换源码节点
+    // 行内公式点击公式本身切换，公式块和图表使用右上角的按钮
+    wrap(source, rendered, tag) {
+        const container = document.createElement(tag);
+        container.className = `diagram ${tag === 'span' ? 'diagram-inline' : 'diagram-block'}`;
+        rendered.className = 'diagram-rendered';
+
+        const sourceWrapper = document.createElement(tag);
+        sourceWrapper.className = 'diagram-source';
+
+        source.replaceWith(container);
+        sourceWrapper.appendChild(source);
+
+        if (tag === 'span') {
+            container.title = '点击切换源码';
+            container.setAttribute('onclick', 'ChatDiagrams.toggleSource(this)');
+            container.append(rendered, sourceWrapper);
+        } else {
+            const toggle = document.createElement('button');
+            toggle.className = 'diagram-toggle';
+            toggle.textContent = '源码';
+            toggle.setAttribute('onclick', 'ChatDiagrams.toggleSource(this)');
+            container.append(toggle, rendered, sourceWrapper);
+        }
+    },
+
+    // 在渲染结果和源码之间切换
+    toggleSource(el) {
+        const container = el.closest('.diagram');
+        const showSource = container.classList.toggle('show-source');
+        const toggle = container.querySelector(':scope > .diagram-toggle');
+        if (toggle) toggle.textContent = showSource ? '预览' : '源码';
+    },
+
+    // 按需加载 mermaid
+    loadMermaid() {
+        if (window.mermaid) return Promise.resolve();
+        if (this.mermaidPromise) return this.mermaidPromise;
+
+        this.mermaidPromise = new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = this.MERMAID_SRC;
+            script.onload = () => {
+                mermaid.initialize({ startOnLoad: false, theme: 'dark', securityLevel: 'strict' });
+                resolve();
+            };
+            script.onerror = () => reject(new Error('无法加载 ' + this.MERMAID_SRC));
+            document.head.appendChild(script);
+        });
+
+        // 加载失败时允许下次重试
+        this.mermaidPromise.catch(() => { this.mermaidPromise = null; });
+        return this.mermaidPromise;
+    }
+};
+
+ChatDiagrams.registerMarkedExtension();
+
+// 导出
+window.ChatDiagrams = ChatDiagrams;
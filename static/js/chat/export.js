@@ -0,0 +1,417 @@
+/**
+ * 对话导出/导入模块
+ *
+ * 导出格式：
+ * - Markdown：当前分支的问答记录，便于阅读和分享
+ * - JSON：完整的结构化消息（思考过程、来源、摘要、用量、分支和版本），可重新导入
+ * - HTML：样式内联的单文件，离线打开即可阅读
+ * 只导出持久化的字段，进行中的流式状态（thread.stream）等运行时数据不会写入。
+ */
+
+const ChatExport = {
+    FORMAT: 'smart-book-chat',
+    VERSION: 1,
+    // 导入时分支/版本的最大嵌套层数
+    MAX_IMPORT_DEPTH: 50,
+
+    // 导出文件内联的样式
+    HTML_STYLE: `
+        body { max-width: 860px; margin: 0 auto; padding: 32px 20px; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'PingFang SC', 'Microsoft YaHei', sans-serif; font-size: 15px; line-height: 1.7; color: #24292f; background: #f6f8fa; }
+        h1 { margin: 0 0 4px; font-size: 24px; }
+        .meta { margin-bottom: 24px; font-size: 13px; color: #6e7781; }
+        .message { margin-bottom: 16px; padding: 14px 18px; border-radius: 10px; background: #fff; box-shadow: 0 1px 3px rgba(0, 0, 0, 0.08); }
+        .message-user { margin-left: 15%; background: #ddf4ff; }
+        .role { margin-bottom: 6px; font-size: 13px; font-weight: 600; color: #57606a; }
+        .content-user { white-space: pre-wrap; }
+        details { margin: 8px 0; padding: 8px 12px; border-radius: 6px; background: #f6f8fa; font-size: 13px; }
+        details pre { white-space: pre-wrap; }
+        summary { cursor: pointer; color: #57606a; }
+        .sources { margin-top: 10px; padding-left: 12px; border-left: 3px solid #2da44e; font-size: 13px; color: #57606a; }
+        .source-score { margin-right: 6px; font-weight: 600; color: #2da44e; }
+        .usage { margin-top: 10px; font-size: 12px; color: #6e7781; }
+        .note { margin-top: 8px; font-size: 13px; color: #9a6700; }
+        pre { overflow-x: auto; padding: 12px; border-radius: 6px; background: #f6f8fa; }
+        code { font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; font-size: 13px; }
+        blockquote { margin: 8px 0; padding-left: 12px; border-left: 3px solid #d0d7de; color: #57606a; }
+        table { border-collapse: collapse; }
+        th, td { padding: 6px 12px; border: 1px solid #d0d7de; }
+        img { max-width: 100%; }
+    `,
+
+    // 获取助手显示名称
+    getAssistantName(thread) {
+        const assistant = ChatAssistants.assistants[thread.assistantId];
+        return assistant ? assistant.name : thread.assistantId;
+    },
+
+    // 格式化时间
+    formatTime(timestamp) {
+        return timestamp ? new Date(timestamp).toLocaleString('zh-CN') : '';
+    },
+
+    // 生成文件名（去掉文件系统不允许的字符）
+    getFileName(thread, ext) {
+        const title = ChatThreads.getTitle(thread).replace(/[\\/:*?"<>|\s]+/g, '_');
+        return `${title}.${ext}`;
+    },
+
+    // 用量摘要文本
+    formatUsage(message) {
+        const parts = [];
+        if (message.usage) {
+            const tokens = message.usage.tokens || {};
+            parts.push(`🤖 ${message.usage.model || 'unknown'}`, `📊 ${tokens.total || 0} tokens`, `💰 ${message.usage.cost_formatted || 'Free'}`);
+        }
+        if (message.metrics && message.metrics.duration) {
+            parts.push(`⌛ ${(message.metrics.duration / 1000).toFixed(1)}s`);
+        }
+        return parts.join(' · ');
+    },
+
+    // JSON：完整结构化数据
+    toJSON(thread) {
+        return JSON.stringify({
+            format: this.FORMAT,
+            version: this.VERSION,
+            exportedAt: Date.now(),
+            conversation: {
+                assistantId: thread.assistantId,
+                title: thread.title,
+                createdAt: thread.createdAt,
+                updatedAt: thread.updatedAt,
+                messages: thread.history.map(m => ChatStorage.serializeMessage(m)),
+            }
+        }, null, 2);
+    },
+
+    // Markdown：当前分支的问答记录
+    toMarkdown(thread) {
+        const assistantName = this.getAssistantName(thread);
+        const lines = [
+            `# ${ChatThreads.getTitle(thread)}`,
+            '',
+            `> ${assistantName} · 导出于 ${this.formatTime(Date.now())}`,
+            ''
+        ];
+
+        thread.history.forEach(message => {
+            if (message.role === 'user') {
+                lines.push('## 🙋 用户', '', message.content, '');
+                return;
+            }
+
+            lines.push(`## 🤖 ${assistantName}`, '');
+            if (message.thinking) {
+                lines.push('<details>', '<summary>思考过程</summary>', '', message.thinking, '', '</details>', '');
+            }
+            lines.push(message.content || '', '');
+            if (message.stopped) lines.push('*⏹️ 已停止生成*', '');
+            if (message.interrupted) lines.push('*⚠️ 网络中断，回答不完整*', '');
+            if (message.summaryInfo) {
+                lines.push(`> 📝 已压缩 ${message.summaryInfo.rounds_summarized} 轮历史对话`, '');
+            }
+            if (message.sources && message.sources.length > 0) {
+                lines.push('**📚 检索来源**', '');
+                message.sources.forEach((s, i) => {
+                    lines.push(`${i + 1}. (${s.score}%) ${s.bookTitle ? `《${s.bookTitle}》` : ''}${String(s.text).replace(/\s+/g, ' ')}`);
+                });
+                lines.push('');
+            }
+            const usage = this.formatUsage(message);
+            if (usage) lines.push(`<sub>${usage}</sub>`, '');
+        });
+
+        return lines.join('\n');
+    },
+
+    // HTML：样式内联的单文件（内容经 ChatSanitizer 净化）
+    toHTML(thread) {
+        const escape = ChatUtils.escapeHtml;
+        const assistantName = this.getAssistantName(thread);
+        const title = ChatThreads.getTitle(thread);
+
+        const messagesHtml = thread.history.map(message => {
+            if (message.role === 'user') {
+                return `
+    <div class="message message-user">
+        <div class="role">🙋 用户</div>
+        <div class="content-user">${escape(message.content)}</div>
+    </div>`;
+            }
+
+            let html = `
+    <div class="message message-assistant">
+        <div class="role">🤖 ${escape(assistantName)}</div>`;
+            if (message.thinking) {
+                html += `<details><summary>🧠 思考过程</summary><pre>${escape(message.thinking)}</pre></details>`;
+            }
+            html += ChatSanitizer.sanitize(marked.parse(message.content || ''));
+            if (message.stopped) html += '<div class="note">⏹️ 已停止生成</div>';
+            if (message.interrupted) html += '<div class="note">⚠️ 网络中断，回答不完整</div>';
+            if (message.summaryInfo) {
+                html += `<div class="note">📝 已压缩 ${escape(message.summaryInfo.rounds_summarized)} 轮历史对话</div>`;
+            }
+            if (message.sources && message.sources.length > 0) {
+                html += `<div class="sources"><div>📚 检索来源 (${message.sources.length})</div>${message.sources.map(s =>
+                    `<div><span class="source-score">${escape(s.score)}%</span>${s.bookTitle ? escape(`《${s.bookTitle}》`) : ''}${escape(s.text)}</div>`
+                ).join('')}</div>`;
+            }
+            const usage = this.formatUsage(message);
+            if (usage) html += `<div class="usage">${escape(usage)}</div>`;
+            return html + '\n    </div>';
+        }).join('');
+
+        return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escape(title)}</title>
+    <style>${this.HTML_STYLE}</style>
+</head>
+<body>
+    <h1>${escape(title)}</h1>
+    <div class="meta">${escape(assistantName)} · 创建于 ${escape(this.formatTime(thread.createdAt))} · 导出于 ${escape(this.formatTime(Date.now()))}</div>
+${messagesHtml}
+</body>
+</html>
+`;
+    },
+
+    // 触发浏览器下载
+    download(fileName, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type: `${type};charset=utf-8` }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    },
+
+    // 导出指定线程（选择格式）
+    exportThread(chatId) {
+        const thread = ChatState.threads[chatId];
+        if (!thread) return;
+        if (thread.history.length === 0) {
+            layer.msg('⚠️ 对话为空，无需导出', { icon: 0 });
+            return;
+        }
+
+        const formats = {
+            markdown: () => this.download(this.getFileName(thread, 'md'), this.toMarkdown(thread), 'text/markdown'),
+            json: () => this.download(this.getFileName(thread, 'json'), this.toJSON(thread), 'application/json'),
+            html: () => this.download(this.getFileName(thread, 'html'), this.toHTML(thread), 'text/html'),
+        };
+
+        layer.open({
+            type: 1,
+            title: '📤 导出对话',
+            area: ['320px', 'auto'],
+            shadeClose: true,
+            content: `
+                <div class="export-formats">
+                    <div class="export-format" data-format="markdown">📝 Markdown<span>阅读、分享</span></div>
+                    <div class="export-format" data-format="json">📦 JSON<span>完整数据，可重新导入</span></div>
+                    <div class="export-format" data-format="html">🌐 HTML<span>单文件，离线打开</span></div>
+                </div>
+            `,
+            success: (layero, index) => {
+                layero[0].querySelectorAll('.export-format').forEach(item => {
+                    item.addEventListener('click', () => {
+                        formats[item.dataset.format]();
+                        layer.close(index);
+                    });
+                });
+            }
+        });
+    },
+
+    // 解析 JSON 导出并创建新线程（使用新的 chatId，不会覆盖已有对话）
+    importJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            throw new Error('文件不是有效的 JSON');
+        }
+
+        const conv = data && data.conversation;
+        if (!conv || data.format !== this.FORMAT || !Array.isArray(conv.messages)) {
+            throw new Error('不是本应用导出的对话文件');
+        }
+        if (data.version > this.VERSION) {
+            throw new Error('导出文件版本过新，请升级后再导入');
+        }
+        if (!ChatState.assistantStates[conv.assistantId]) {
+            throw new Error(`未知的助手：${conv.assistantId}`);
+        }
+
+        const messages = conv.messages.map(m => this.sanitizeMessage(m)).filter(Boolean);
+
+        // 服务端没有该对话的历史，后续请求携带客户端历史
+        return ChatState.registerThread(ChatState.createThreadState(conv.assistantId, {
+            title: typeof conv.title === 'string' ? conv.title : undefined,
+            history: messages,
+            imported: true,
+            createdAt: this.toNumber(conv.createdAt),
+            updatedAt: Date.now(),
+        }));
+    },
+
+    // 导入文件可能被改过，消息按白名单重建：数值字段转为数字，版本、分支、来源和工具调用逐项校验
+    // depth 限制分支嵌套层数
+    sanitizeMessage(m, depth = 0) {
+        if (!m || (m.role !== 'user' && m.role !== 'assistant') || typeof m.content !== 'string' || depth > this.MAX_IMPORT_DEPTH) {
+            return null;
+        }
+
+        const message = this.compact({ role: m.role, content: m.content, createdAt: this.toNumber(m.createdAt) });
+
+        if (m.role === 'user') {
+            const siblings = this.sanitizeAlternatives(m.siblings, m.siblingIndex, tail => {
+                if (!Array.isArray(tail)) return null;
+                const messages = tail.map(item => this.sanitizeMessage(item, depth + 1));
+                return messages.length > 0 && messages.every(Boolean) && messages[0].role === 'user' ? messages : null;
+            });
+            if (siblings) Object.assign(message, { siblings: siblings.list, siblingIndex: siblings.index });
+            return message;
+        }
+
+        Object.assign(message, this.compact({
+            thinking: this.toText(m.thinking),
+            systemPrompt: this.toText(m.systemPrompt),
+            sources: Array.isArray(m.sources) ? m.sources.map(source => this.sanitizeSource(source)).filter(Boolean) : undefined,
+            toolCalls: Array.isArray(m.toolCalls) ? m.toolCalls.map(call => this.sanitizeToolCall(call)).filter(Boolean) : undefined,
+            summaryInfo: m.summaryInfo && this.toNumber(m.summaryInfo.rounds_summarized) !== undefined
+                ? { rounds_summarized: this.toNumber(m.summaryInfo.rounds_summarized) }
+                : undefined,
+            usage: m.usage && typeof m.usage === 'object' ? this.compact({
+                tokens: m.usage.tokens && typeof m.usage.tokens === 'object' ? this.compact({
+                    total: this.toNumber(m.usage.tokens.total),
+                    input: this.toNumber(m.usage.tokens.input),
+                    output: this.toNumber(m.usage.tokens.output),
+                }) : undefined,
+                cost: this.toNumber(m.usage.cost),
+                cost_formatted: this.toText(m.usage.cost_formatted),
+                currency: this.toText(m.usage.currency),
+                model: this.toText(m.usage.model),
+            }) : undefined,
+            metrics: m.metrics && typeof m.metrics === 'object' ? this.compact({
+                model: this.toText(m.metrics.model),
+                cached: m.metrics.cached === true,
+                ttfb: this.toNumber(m.metrics.ttfb),
+                duration: this.toNumber(m.metrics.duration),
+                outputTokens: this.toNumber(m.metrics.outputTokens),
+                tokensPerSecond: this.toNumber(m.metrics.tokensPerSecond),
+            }) : undefined,
+            stopped: m.stopped === true || undefined,
+            interrupted: m.interrupted === true || undefined,
+        }));
+
+        // 其他版本是不带版本列表的回答
+        const variants = this.sanitizeAlternatives(m.variants, m.variantIndex, variant => {
+            const clean = this.sanitizeMessage(variant, depth + 1);
+            if (!clean || clean.role !== 'assistant') return null;
+            delete clean.variants;
+            delete clean.variantIndex;
+            return clean;
+        });
+        if (variants) Object.assign(message, { variants: variants.list, variantIndex: variants.index });
+        return message;
+    },
+
+    // 版本/分支列表：当前项（索引限制在范围内）为 null，其余逐项校验，无效项丢弃；不足两项时返回 null
+    sanitizeAlternatives(list, index, sanitizeItem) {
+        if (!Array.isArray(list) || list.length === 0) return null;
+
+        const current = Math.min(Math.max(Math.trunc(this.toNumber(index) || 0), 0), list.length - 1);
+        const result = [];
+        let resultIndex = 0;
+        list.forEach((item, i) => {
+            if (i === current) {
+                resultIndex = result.length;
+                result.push(null);
+                return;
+            }
+            const clean = sanitizeItem(item);
+            if (clean) result.push(clean);
+        });
+        return result.length > 1 ? { list: result, index: resultIndex } : null;
+    },
+
+    // 检索来源
+    sanitizeSource(source) {
+        if (!source || typeof source !== 'object') return null;
+        const chunk = this.toNumber(source.chunk);
+        return this.compact({
+            text: this.toText(source.text) || '',
+            score: this.toNumber(source.score) || 0,
+            chunk: chunk !== undefined && Number.isInteger(chunk) ? chunk : undefined,
+            chapter: this.toText(source.chapter),
+            book: this.toText(source.book),
+            bookTitle: this.toText(source.bookTitle),
+        });
+    },
+
+    // 工具调用（参数和结果只以 JSON 文本显示，原样保留）
+    sanitizeToolCall(call) {
+        if (!call || typeof call !== 'object' || typeof call.name !== 'string') return null;
+        return this.compact({
+            id: this.toText(call.id),
+            name: call.name,
+            args: call.args && typeof call.args === 'object' && !Array.isArray(call.args) ? call.args : undefined,
+            status: Object.prototype.hasOwnProperty.call(ChatTools.STATUS_LABELS, call.status) && call.status !== 'running' ? call.status : 'cancelled',
+            duration: this.toNumber(call.duration),
+            error: this.toText(call.error),
+            result: call.result,
+            content: Array.isArray(call.content) ? call.content : undefined,
+        });
+    },
+
+    // 有限数字，否则 undefined
+    toNumber(value) {
+        if ((typeof value !== 'number' && typeof value !== 'string') || value === '') return undefined;
+        const number = Number(value);
+        return Number.isFinite(number) ? number : undefined;
+    },
+
+    // 字符串，否则 undefined
+    toText(value) {
+        return typeof value === 'string' ? value : undefined;
+    },
+
+    // 去掉值为 undefined 的字段
+    compact(object) {
+        Object.keys(object).forEach(key => {
+            if (object[key] === undefined) delete object[key];
+        });
+        return object;
+    },
+
+    // 选择文件并导入
+    importFile() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,application/json';
+        input.addEventListener('change', async () => {
+            const file = input.files[0];
+            if (!file) return;
+
+            try {
+                const thread = this.importJSON(await file.text());
+                await ChatStorage.saveThread(thread);
+                ChatThreads.switchThread(thread.chatId);
+                ChatSidebar.renderThreadList();
+                layer.msg(`📥 已导入「${ChatUtils.escapeHtml(ChatThreads.getTitle(thread))}」`);
+            } catch (error) {
+                layer.msg(`❌ 导入失败: ${ChatUtils.escapeHtml(error.message)}`, { icon: 2 });
+            }
+        });
+        input.click();
+    }
+};
+
+// 导出
+window.ChatExport = ChatExport;
@@ -0,0 +1,307 @@
+/**
+ * 书籍索引队列模块
+ *
+ * 索引在后台逐本进行，不阻塞界面：侧边栏「当前书籍」下方显示进度，可取消当前任务或清空队列。
+ * 已有索引的书籍可以强制重新索引（完成后覆盖原索引，取消则保留原索引）。
+ * 队列保存在 localStorage 中，页面刷新或离开聊天页后回来会从中断的那本书重新开始。
+ *
+ * 打开多个聊天页时只有一个页面（队列持有者）执行索引，持有者定期刷新心跳，关闭或心跳超时后由其他页面接管；
+ * 其他页面通过 storage 事件同步显示进度，加入或取消任务时改写保存的队列，由持有者执行。
+ */
+
+const ChatIndexing = {
+    STORAGE_KEY: 'indexQueue',
+    OWNER_KEY: 'indexQueueOwner',
+    HEARTBEAT_INTERVAL: 5000,
+    // 后台页面的定时器会被浏览器降频，超时需留足余量
+    OWNER_TIMEOUT: 90000,
+
+    queue: [],        // 等待中的任务 { file, title, force }
+    current: null,    // 进行中的任务
+    progress: null,   // 当前任务进度 { message, percent }
+    controller: null,
+    tabId: Date.now().toString(36) + Math.random().toString(36).substr(2, 6),
+    owned: false,     // 本页是否为队列持有者
+
+    // 同步队列并争取成为持有者
+    init() {
+        this.mirror(this.load());
+
+        // storage 事件只在其他页面触发
+        window.addEventListener('storage', (e) => {
+            if (e.key === this.STORAGE_KEY) {
+                this.onRemoteChange(this.parse(e.newValue));
+            } else if (e.key === this.OWNER_KEY && !e.newValue) {
+                // 持有者已关闭，立即接管（错开时间，避免多个页面同时接管）
+                setTimeout(() => this.heartbeat(), Math.random() * 1000);
+            }
+        });
+        window.addEventListener('pagehide', () => this.release());
+
+        this.heartbeat();
+        setInterval(() => this.heartbeat(), this.HEARTBEAT_INTERVAL);
+    },
+
+    // 解析保存的队列 { current, queue, progress, cancel }
+    parse(value) {
+        let saved = null;
+        try {
+            saved = JSON.parse(value || 'null');
+        } catch (e) {}
+        return { current: null, queue: [], progress: null, ...saved };
+    },
+
+    load() {
+        return this.parse(localStorage.getItem(this.STORAGE_KEY));
+    },
+
+    // 保存队列（进行中的任务也保存，刷新后重新开始）；cancel 为请求持有者中止的任务
+    save(cancel = null) {
+        if (this.current || this.queue.length > 0 || cancel) {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify({ current: this.current, queue: this.queue, progress: this.progress, cancel: cancel }));
+        } else {
+            localStorage.removeItem(this.STORAGE_KEY);
+        }
+    },
+
+    // 非持有者：按保存的队列显示
+    mirror(saved) {
+        this.current = saved.current;
+        this.queue = saved.queue;
+        this.progress = saved.current ? (saved.progress || { message: '准备中...', percent: 0 }) : null;
+    },
+
+    // 刷新心跳；没有持有者或持有者超时则接管队列
+    heartbeat() {
+        let owner = null;
+        try {
+            owner = JSON.parse(localStorage.getItem(this.OWNER_KEY) || 'null');
+        } catch (e) {}
+
+        const mine = !!owner && owner.id === this.tabId;
+        if (!mine && owner && Date.now() - owner.time < this.OWNER_TIMEOUT) {
+            // 被其他页面接管（本页心跳被延迟过久），停止执行，由对方重新开始当前任务
+            if (this.owned) {
+                this.owned = false;
+                if (this.controller) this.controller.abort();
+            }
+            return;
+        }
+
+        localStorage.setItem(this.OWNER_KEY, JSON.stringify({ id: this.tabId, time: Date.now() }));
+        if (!this.owned) this.takeOver();
+    },
+
+    // 接管队列：中断的任务重新开始
+    takeOver() {
+        this.owned = true;
+        const saved = this.load();
+        this.current = null;
+        this.progress = null;
+
+        // 书籍可能已被移走，已请求取消的任务不再继续
+        const interrupted = saved.current && saved.current.file !== saved.cancel ? [saved.current] : [];
+        this.queue = interrupted.concat(saved.queue)
+            .filter(task => ChatBooks.books.some(b => b.file === task.file));
+        if (this.queue.length > 0) {
+            console.log(`🔧 继续未完成的索引任务: ${this.queue.length} 本`);
+        }
+        this.save();
+        this.next();
+        this.render();
+    },
+
+    // 关闭页面时释放持有权，其他页面立即接管
+    release() {
+        if (!this.owned) return;
+        this.owned = false;
+        localStorage.removeItem(this.OWNER_KEY);
+    },
+
+    // 其他页面改写了队列
+    onRemoteChange(saved) {
+        if (!this.owned) {
+            // 任务结束后刷新书籍的索引状态
+            const finished = this.current && (!saved.current || saved.current.file !== this.current.file);
+            this.mirror(saved);
+            if (finished) {
+                ChatBooks.loadBooks().then(() => {
+                    ChatBooks.updateCurrentBookDisplay();
+                    this.render();
+                });
+            }
+            this.render();
+            return;
+        }
+
+        // 持有者：接受加入或移出的任务，当前任务被取消则中止
+        this.queue = saved.queue;
+        if (this.current && saved.cancel === this.current.file) {
+            this.controller.abort();
+        }
+        this.next();
+        this.render();
+    },
+
+    // 书籍的索引任务状态：'running' | 'queued' | null
+    getStatus(file) {
+        if (this.current && this.current.file === file) return 'running';
+        if (this.queue.some(task => task.file === file)) return 'queued';
+        return null;
+    },
+
+    // 加入队列（force: 已有索引时重新索引）
+    enqueue(file, { force = false } = {}) {
+        if (this.getStatus(file)) {
+            layer.msg('⚠️ 该书籍已在索引队列中', { icon: 0 });
+            return false;
+        }
+
+        const book = ChatBooks.books.find(b => b.file === file);
+        this.queue.push({ file: file, title: book ? book.title : file, force: force });
+        this.save();
+        this.next();
+        this.render();
+        return true;
+    },
+
+    // 重新索引已有索引的书籍
+    reindex(file) {
+        const book = ChatBooks.books.find(b => b.file === file);
+        layer.confirm(`重新索引《${ChatUtils.escapeHtml(book ? book.title : file)}》？完成后将覆盖现有索引。`, {
+            btn: ['重新索引', '取消'],
+            title: '重新索引'
+        }, (index) => {
+            layer.close(index);
+            this.enqueue(file, { force: true });
+        });
+    },
+
+    // 为所有未索引的书籍依次创建索引
+    indexAll() {
+        const files = ChatBooks.books.filter(b => !b.hasIndex && !this.getStatus(b.file)).map(b => b.file);
+        if (files.length === 0) {
+            layer.msg('所有书籍都已创建索引');
+            return;
+        }
+        files.forEach(file => this.queue.push({ file: file, title: ChatBooks.books.find(b => b.file === file).title, force: false }));
+        this.save();
+        this.next();
+        this.render();
+        layer.msg(`🔧 已加入索引队列: ${files.length} 本`);
+    },
+
+    // 取消一本书的索引（进行中则中止请求，排队中则移出队列）
+    cancel(file) {
+        if (this.current && this.current.file === file) {
+            if (this.owned) {
+                this.controller.abort();
+            } else {
+                // 由持有者中止
+                this.save(file);
+            }
+            return;
+        }
+        this.queue = this.queue.filter(task => task.file !== file);
+        this.save();
+        this.render();
+    },
+
+    // 清空队列并取消当前任务
+    cancelAll() {
+        this.queue = [];
+        this.save(!this.owned && this.current ? this.current.file : null);
+        if (this.controller) {
+            this.controller.abort();
+        } else {
+            this.render();
+        }
+    },
+
+    // 开始下一个任务（只在持有者页面执行）
+    async next() {
+        if (!this.owned || this.current || this.queue.length === 0) return;
+
+        const task = this.queue.shift();
+        this.current = task;
+        this.progress = { message: '准备中...', percent: 0 };
+        this.controller = new AbortController();
+        this.save();
+        this.render();
+
+        let result = null;
+        try {
+            await SSEClient.fetch(`${ChatConfig.API_BASE}/api/books/index`, {
+                body: { book: task.file, force: !!task.force },
+                signal: this.controller.signal,
+                onEvent: (event) => {
+                    if (event.type === 'progress') {
+                        const info = JSON.parse(event.data);
+                        this.progress = { message: info.message, percent: info.progress || this.progress.percent };
+                        this.save();
+                        this.render();
+                    } else if (event.type === 'done') {
+                        result = JSON.parse(event.data);
+                    } else if (event.type === 'error') {
+                        throw new Error(event.data);
+                    }
+                }
+            });
+            if (!result) throw new Error('连接意外关闭');
+            layer.msg(`✅ 《${ChatUtils.escapeHtml(task.title)}》${ChatUtils.escapeHtml(result.message)}`);
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                // 被其他页面接管时不提示
+                if (this.owned) layer.msg(`⏹️ 已取消《${ChatUtils.escapeHtml(task.title)}》的索引`);
+            } else {
+                console.error('索引创建失败:', error);
+                layer.msg(`❌ 《${ChatUtils.escapeHtml(task.title)}》索引创建失败: ${ChatUtils.escapeHtml(error.message)}`, { icon: 2 });
+            }
+        } finally {
+            this.controller = null;
+            if (this.owned) {
+                this.current = null;
+                this.progress = null;
+                this.save();
+            } else {
+                this.mirror(this.load());
+            }
+        }
+
+        // 刷新书籍的索引状态
+        if (result) {
+            await ChatBooks.loadBooks();
+            ChatBooks.updateCurrentBookDisplay();
+        }
+        this.render();
+        this.next();
+    },
+
+    // 更新侧边栏进度和打开中的书籍列表
+    render() {
+        const container = document.getElementById('indexStatus');
+        if (container) {
+            container.style.display = this.current ? '' : 'none';
+            container.innerHTML = !this.current ? '' : `
+                <div class="index-status-header">
+                    <span class="index-status-title" title="${ChatUtils.escapeHtml(this.current.title)}">🔧 ${this.current.force ? '重新索引' : '索引'}《${ChatUtils.escapeHtml(this.current.title)}》</span>
+                    <span class="index-status-cancel" title="取消" onclick="ChatIndexing.cancel(${ChatUtils.escapeHtml(JSON.stringify(this.current.file))})">✕</span>
+                </div>
+                <div class="progress-bar-container">
+                    <div class="progress-bar" style="width: ${this.progress.percent}%"></div>
+                </div>
+                <div class="index-status-message">${ChatUtils.escapeHtml(this.progress.message)}</div>
+                ${this.queue.length > 0 ? `
+                    <div class="index-status-queue">
+                        <span>队列中还有 ${this.queue.length} 本</span>
+                        <span class="index-status-cancel-all" onclick="ChatIndexing.cancelAll()">全部取消</span>
+                    </div>
+                ` : ''}
+            `;
+        }
+        ChatBooks.renderBookList();
+    }
+};
+
+// 导出
+window.ChatIndexing = ChatIndexing;
@@ -4,8 +4,9 @@
 
 // 初始化
 document.addEventListener('DOMContentLoaded', () => {
-    // 初始化移动端侧边栏
+    // 初始化移动端侧边栏和对话搜索
     ChatSidebar.initMobileSidebar();
+    ChatSidebar.initSidebarSearch();
     
     // 切换助手
     document.querySelectorAll('.assistant-item').forEach(item => {
@@ -19,7 +20,11 @@ document.addEventListener('DOMContentLoaded', () => {
     const sendBtn = document.getElementById('sendBtn');
     const chatInput = document.getElementById('chatInput');
     
-    sendBtn.addEventListener('click', ChatMessage.sendMessage);
+    ChatScroll.init();
+    ChatSync.init();
+    ChatCitations.init();
+    
+    sendBtn.addEventListener('click', ChatMessage.handleSendButton);
     chatInput.addEventListener('keydown', (e) => {
         if (e.key === 'Enter' && !e.shiftKey) {
             e.preventDefault();
@@ -27,6 +32,13 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
     
+    // Esc 停止生成
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && ChatState.isLoading) {
+            ChatMessage.stopGeneration();
+        }
+    });
+    
     // 自动调整输入框高度
     chatInput.addEventListener('input', () => {
         chatInput.style.height = 'auto';
@@ -45,8 +57,26 @@ document.addEventListener('DOMContentLoaded', () => {
     Promise.all([
         ChatModels.loadModels(),
         ChatAssistants.loadAssistants(),
-        ChatBooks.init()
+        ChatBooks.init(),
+        ChatStorage.restore()
     ]).then(() => {
+        // 恢复当前助手的历史对话
+        if (ChatState.getCurrentState().history.length > 0) {
+            ChatMessage.renderTranscript();
+            ChatScroll.scrollToBottom();
+        }
+        ChatSidebar.initThreadList();
+        ChatIndexing.init();
+        
+        // 从搜索页跳转：?chat=<chatId>&message=<消息序号>
+        const params = new URLSearchParams(location.search);
+        if (params.get('chat')) {
+            ChatSidebar.openSearchResult(params.get('chat'), Number(params.get('message')));
+        }
+        // 从书籍库跳转：?book=<文件名>
+        if (params.get('book')) {
+            ChatBooks.selectBook(params.get('book'));
+        }
         setTimeout(() => chatInput.focus(), 100);
     });
 });
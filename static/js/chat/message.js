@@ -2,53 +2,111 @@
  * 消息处理模块
  */
 
-// 发送消息（SSE 流式）
+// 回答流断线后的最大重连次数
+const STREAM_MAX_RETRIES = 5;
+
+// 从中断处继续生成时的提示词
+const CONTINUE_PROMPT = '上一条回答因网络中断而不完整，请从中断处继续，不要重复已输出的内容。';
+
+// 续写助手继续生成时附带的已生成内容长度
+const CONTINUE_TAIL_LENGTH = 500;
+
+// 发送输入框中的消息（正在生成时进入待发送队列）
 async function sendMessage() {
     const chatInput = document.getElementById('chatInput');
-    const sendBtn = document.getElementById('sendBtn');
-    const chatMessages = document.getElementById('chatMessages');
     
     const message = chatInput.value.trim();
-    if (!message || ChatState.isLoading) return;
+    if (!message) return;
     
-    ChatState.isLoading = true;
-    sendBtn.disabled = true;
     chatInput.value = '';
     chatInput.style.height = 'auto';
     
+    await ChatQueue.submit(ChatState.getCurrentState(), message);
+}
+
+// 发送一条消息并生成回答（SSE 流式），由 ChatQueue 在对话空闲时调用
+async function sendText(thread, message, onComplete = null) {
+    const chatMessages = document.getElementById('chatMessages');
+    
     // 添加用户消息
-    addMessage('user', message);
-    ChatState.getCurrentState().history.push({ role: 'user', content: message });
+    const userMessage = { role: 'user', content: message, createdAt: Date.now() };
+    chatMessages.appendChild(createUserMessageDiv(userMessage, thread.history.length));
+    thread.history.push(userMessage);
+    ChatThreads.touch(thread);
     
-    // 重置流式状态
-    ChatState.currentContent = '';
-    ChatState.currentThinking = '';
-    ChatState.currentSources = null;
-    ChatState.currentSummaryInfo = null;
-    ChatState.currentSystemPrompt = null;
-    ChatState.currentUsage = null;
+    await streamAnswer(thread, null, onComplete);
+}
+
+// 为历史中最后一条用户消息生成回答（regenerated 为被重新生成的旧回答）
+// onComplete(content): 回答结束后回调
+async function streamAnswer(thread, regenerated = null, onComplete = null) {
+    const chatMessages = document.getElementById('chatMessages');
+    const message = thread.history[thread.history.length - 1].content;
     
     // 创建空的助手消息容器
-    const assistant = ChatAssistants.assistants[ChatState.currentAssistant] || {
+    const assistant = ChatAssistants.assistants[thread.assistantId] || {
         color: '#4caf50',
         avatar: '📚'
     };
-    ChatState.currentMessageDiv = document.createElement('div');
-    ChatState.currentMessageDiv.className = 'message message-assistant';
-    ChatState.currentMessageDiv.innerHTML = `
-        <div class="message-avatar" style="background: ${assistant.color};">${assistant.avatar}</div>
-        <div class="message-content">
-            <div class="typing-indicator">
-                <div class="typing-dot"></div>
-                <div class="typing-dot"></div>
-                <div class="typing-dot"></div>
-            </div>
+    const stream = startStream(thread);
+    stream.messageDiv = createAssistantMessageDiv(assistant, `
+        <div class="typing-indicator">
+            <div class="typing-dot"></div>
+            <div class="typing-dot"></div>
+            <div class="typing-dot"></div>
         </div>
-    `;
-    chatMessages.appendChild(ChatState.currentMessageDiv);
-    chatMessages.scrollTop = chatMessages.scrollHeight;
+    `);
+    stream.regeneratedMessage = regenerated;
+    stream.onComplete = onComplete;
+    chatMessages.appendChild(stream.messageDiv);
+    
+    // 发送消息时总是回到底部
+    ChatScroll.scrollToBottom();
     
-    // 构建请求
+    // 重新生成、存在分支或导入的对话，服务端按 chat_id 保存的历史与当前采用的内容不一致，改为携带客户端历史
+    const useClientHistory = regenerated || thread.imported || ChatBranches.isBranched(thread) || ChatVariants.hasVariants(thread);
+    const history = assistant.action !== 'continue' && useClientHistory
+        ? thread.history.slice(0, -1)
+        : null;
+    const request = buildStreamRequest(thread, assistant, message, history);
+    if (!request) {
+        endStream(stream);
+        if (regenerated) {
+            // 未能发出请求，放回原回答
+            thread.history.push(regenerated);
+            renderTranscript();
+        }
+        return;
+    }
+    
+    await runStream(stream, request.url, request.body);
+}
+
+// 为线程创建流式状态（每个对话独立，可与其他对话同时生成）
+function startStream(thread) {
+    thread.stream = ChatState.createStreamState(thread);
+    updateSendButton();
+    ChatSidebar.renderThreadList();
+    return thread.stream;
+}
+
+// 清除线程的流式状态，然后发送该对话的下一条待发送消息
+function endStream(stream) {
+    if (stream.thread.stream === stream) {
+        stream.thread.stream = null;
+    }
+    updateSendButton();
+    ChatSidebar.renderThreadList();
+    setTimeout(() => ChatQueue.next(stream.thread), 0);
+}
+
+// 流所属的对话是否正在显示
+function isStreamVisible(stream) {
+    return stream.thread === ChatState.getCurrentState();
+}
+
+// 构建流式请求（按助手类型选择接口），history 为显式传入的对话历史
+function buildStreamRequest(thread, assistant, message, history = null) {
     const searchConfig = ChatToolbar.getSearchConfig();
     const ragConfig = ChatToolbar.getRAGConfig();
     const modelId = ChatModels.getCurrentModelId();
@@ -57,13 +115,20 @@ async function sendMessage() {
         url = `${ChatConfig.API_BASE}/api/stream/ask`;
         body = { 
             question: message, 
-            chat_id: ChatState.getCurrentState().chatId, 
+            chat_id: thread.chatId, 
             search: searchConfig.enabled, 
             engine: searchConfig.engine,
             rag: ragConfig.enabled,  // RAG 开关
             keyword_weight: ragConfig.keywordWeight,  // 关键词权重
             model: modelId  // 模型
         };
+        
+        // 多书问答：服务端不使用按 chat_id 保存的历史，总是携带客户端历史
+        const askBooks = ChatBooks.getAskBooks();
+        if (askBooks) {
+            body.books = askBooks;
+            if (!history) history = thread.history.slice(0, -1);
+        }
     } else if (assistant.action === 'continue') {
         // 使用增强版续写 API（Context Cache + Few-shot）
         url = `${ChatConfig.API_BASE}/api/stream/enhanced-continue`;
@@ -71,9 +136,7 @@ async function sendMessage() {
         console.log('📚 续写助手 - 当前书籍:', currentBook);
         if (!currentBook) {
             layer.msg('⚠️ 请先选择一本书籍', { icon: 0 });
-            ChatState.isLoading = false;
-            sendBtn.disabled = false;
-            return;
+            return null;
         }
         body = { 
             book: currentBook,
@@ -83,143 +146,385 @@ async function sendMessage() {
         console.log('📤 续写请求:', body);
     } else {
         url = `${ChatConfig.API_BASE}/api/stream/chat`;
-        body = { message: message, chat_id: ChatState.getCurrentState().chatId, search: searchConfig.enabled, engine: searchConfig.engine, model: modelId };
+        body = { message: message, chat_id: thread.chatId, search: searchConfig.enabled, engine: searchConfig.engine, model: modelId };
     }
     
-    // 使用 fetch + SSE
+    if (history) {
+        body.history = history.map(m => ({ role: m.role, content: m.content }));
+    }
+    
+    return { url, body };
+}
+
+// 读取回答流：断线时带 Last-Event-ID 自动重连，重连失败则保留已生成的部分
+async function runStream(stream, url, body) {
+    let resumeFailed = false;
+    
     try {
-        ChatState.abortController = new AbortController();
-        
-        const response = await fetch(url, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(body),
-            signal: ChatState.abortController.signal
-        });
+        stream.abortController = new AbortController();
         
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status}`);
-        }
+        // 流 ID 用于断线后续接同一个回答
+        body.stream_id = 'stream_' + Date.now().toString(36) + Math.random().toString(36).substr(2, 6);
+        stream.streamId = body.stream_id;
         
-        const reader = response.body.getReader();
-        const decoder = new TextDecoder();
-        let buffer = '';
+        // 计时从发出请求开始
+        stream.modelId = body.model || null;
+        stream.startedAt = performance.now();
         
-        while (true) {
-            const { done, value } = await reader.read();
-            if (done) break;
-            
-            buffer += decoder.decode(value, { stream: true });
-            
-            // 解析 SSE 事件
-            const lines = buffer.split('\n');
-            buffer = lines.pop() || '';
-            
-            let currentEvent = null;
-            let dataLines = [];
-            for (const line of lines) {
-                if (line.startsWith('event: ')) {
-                    currentEvent = line.slice(7);
-                    dataLines = [];
-                } else if (line.startsWith('data: ')) {
-                    dataLines.push(line.slice(6));
-                } else if (line === '' && currentEvent && dataLines.length > 0) {
-                    const data = dataLines.join('\n');
-                    handleSSEEvent(currentEvent, data);
-                    currentEvent = null;
+        await SSEClient.stream(url, {
+            body: body,
+            signal: stream.abortController.signal,
+            maxRetries: STREAM_MAX_RETRIES,
+            onEvent: (event) => {
+                if (event.type === 'resume_failed') {
+                    resumeFailed = true;
+                    return;
                 }
+                if (stream.status) {
+                    stream.status = null;
+                }
+                handleSSEEvent(stream, event.type, event.data);
+            },
+            // 收到 done / error 后消息已完成，连接关闭属于正常结束
+            isComplete: () => !stream.messageDiv,
+            shouldRetry: () => !resumeFailed,
+            onRetry: (attempt, delay) => {
+                stream.status = `🔄 网络中断，${Math.round(delay / 1000)}s 后重连 (${attempt}/${STREAM_MAX_RETRIES})`;
+                updateStreamingMessage(stream);
             }
-        }
-        
-        // 处理缓冲区剩余内容
-        if (buffer.trim()) {
-            finishStreamingMessage();
-        }
+        });
         
     } catch (error) {
         if (error.name === 'AbortError') {
-            ChatState.currentContent += '\n\n⏹️ 已停止生成';
+            // 保留已生成的部分内容，并标记为已停止
+            finishStreamingMessage(stream, false, { stopped: true });
+        } else if (stream.content) {
+            // 重连失败：保留已生成的部分，可从此处继续生成
+            console.warn('⚠️ 回答流中断:', error);
+            finishStreamingMessage(stream, false, { interrupted: true });
         } else {
-            ChatState.currentContent = `❌ 请求失败: ${error.message}\n\n请确保 Workerman 服务已启动:\n\`php workerman_ai_server.php start\``;
+            stream.content = `❌ 请求失败: ${error.message}\n\n请确保 Workerman 服务已启动:\n\`php workerman_ai_server.php start\``;
+            finishStreamingMessage(stream, true);
         }
-        finishStreamingMessage(error.name !== 'AbortError');
     } finally {
-        ChatState.isLoading = false;
-        sendBtn.disabled = false;
-        ChatState.abortController = null;
+        endStream(stream);
+    }
+}
+
+// 从中断处继续生成最后一条回答
+async function continueMessage() {
+    const thread = ChatState.getCurrentState();
+    if (thread.stream) return;
+    
+    const last = thread.history[thread.history.length - 1];
+    const messageDivs = document.querySelectorAll('#chatMessages .message-assistant');
+    const messageDiv = messageDivs[messageDivs.length - 1];
+    if (!last || last.role !== 'assistant' || !last.interrupted || !messageDiv) {
+        layer.msg('⚠️ 只能继续最后一条中断的回答', { icon: 0 });
+        return;
+    }
+    
+    const assistant = ChatAssistants.assistants[thread.assistantId] || {
+        color: '#4caf50',
+        avatar: '📚'
+    };
+    
+    // 续写助手没有对话历史，把已生成内容的结尾附在提示词后
+    const lastUser = [...thread.history].reverse().find(m => m.role === 'user');
+    const prompt = assistant.action === 'continue'
+        ? `${lastUser ? lastUser.content : ''}\n\n已写到：\n${last.content.slice(-CONTINUE_TAIL_LENGTH)}\n\n${CONTINUE_PROMPT}`
+        : CONTINUE_PROMPT;
+    const request = buildStreamRequest(thread, assistant, prompt, assistant.action === 'continue' ? null : thread.history);
+    if (!request) return;
+    
+    // 在原消息上接着输出
+    const stream = startStream(thread);
+    stream.content = last.content;
+    stream.thinking = last.thinking || '';
+    stream.sources = last.sources || null;
+    stream.toolCalls = [...(last.toolCalls || [])];
+    stream.summaryInfo = last.summaryInfo || null;
+    stream.systemPrompt = last.systemPrompt || null;
+    stream.continuedMessage = last;
+    stream.messageDiv = messageDiv;
+    updateStreamingMessage(stream);
+    
+    await runStream(stream, request.url, request.body);
+}
+
+// 停止当前对话的生成（书籍索引在后台进行，从侧边栏取消）
+function stopGeneration() {
+    const stream = ChatState.getCurrentState().stream;
+    if (stream && stream.abortController) {
+        stream.abortController.abort();
+        
+        // 服务端在断线后仍会继续生成，需明确通知其停止
+        if (stream.streamId) {
+            fetch(`${ChatConfig.API_BASE}/api/stream/cancel`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ stream_id: stream.streamId })
+            }).catch(() => {});
+        }
+    }
+}
+
+// 是否有可停止的流式任务
+function isBusy() {
+    return ChatState.isLoading;
+}
+
+// 根据状态切换发送/停止按钮
+function updateSendButton() {
+    const sendBtn = document.getElementById('sendBtn');
+    if (!sendBtn) return;
+    
+    const busy = isBusy();
+    sendBtn.classList.toggle('stop', busy);
+    sendBtn.title = busy ? '停止生成 (Esc)' : '发送';
+    sendBtn.innerHTML = busy 
+        ? '<i class="send-btn-stop-icon"></i>' 
+        : '<i class="layui-icon layui-icon-top"></i>';
+}
+
+// 发送按钮点击：生成中则停止，否则发送
+function handleSendButton() {
+    if (isBusy()) {
+        stopGeneration();
+    } else {
+        sendMessage();
     }
 }
 
 // 处理 SSE 事件
-function handleSSEEvent(eventType, data) {
+function handleSSEEvent(stream, eventType, data) {
     if (eventType === 'sources') {
-        try { ChatState.currentSources = JSON.parse(data); } catch (e) {}
+        try { stream.sources = JSON.parse(data); } catch (e) {}
     } else if (eventType === 'summary_used') {
-        try { ChatState.currentSummaryInfo = JSON.parse(data); } catch (e) {}
+        try { stream.summaryInfo = JSON.parse(data); } catch (e) {}
     } else if (eventType === 'usage') {
         try { 
-            ChatState.currentUsage = JSON.parse(data);
-            updateUsageDisplay(ChatState.currentUsage);
+            stream.usage = JSON.parse(data);
+            updateUsageDisplay(stream.usage);
         } catch (e) {}
     } else if (eventType === 'cached') {
         try {
             const cacheInfo = JSON.parse(data);
-            if (cacheInfo.hit) layer.msg(`📦 语义缓存命中！`, { time: 1500 });
+            stream.cached = !!cacheInfo.hit;
+            if (cacheInfo.hit && isStreamVisible(stream)) layer.msg(`📦 语义缓存命中！`, { time: 1500 });
         } catch (e) {}
     } else if (eventType === 'system_prompt') {
-        ChatState.currentSystemPrompt = data;
-        updateStreamingMessage();
+        stream.systemPrompt = data;
+    } else if (eventType === 'tool_call' || eventType === 'tool_result') {
+        ChatTools.handleEvent(stream.toolCalls, eventType, data);
+        scheduleStreamingUpdate(stream);
     } else if (eventType === 'thinking') {
-        ChatState.currentThinking += data;
-        updateStreamingMessage();
+        markFirstToken(stream);
+        stream.thinking += data;
+        scheduleStreamingUpdate(stream);
     } else if (eventType === 'content') {
-        ChatState.currentContent += data;
-        updateStreamingMessage();
+        markFirstToken(stream);
+        stream.content += data;
+        scheduleStreamingUpdate(stream);
     } else if (eventType === 'error') {
-        ChatState.currentContent = `❌ 服务端错误: ${data}`;
-        finishStreamingMessage(true);
+        stream.content = `❌ 服务端错误: ${data}`;
+        finishStreamingMessage(stream, true);
     } else if (eventType === 'done') {
-        finishStreamingMessage();
+        finishStreamingMessage(stream);
     }
 }
 
-// 更新流式消息显示
-function updateStreamingMessage() {
-    if (!ChatState.currentMessageDiv) return;
+// 记录首个 thinking / content 到达的时间
+function markFirstToken(stream) {
+    if (stream.firstTokenAt === null) {
+        stream.firstTokenAt = performance.now();
+    }
+}
+
+// 计算本次回答的性能指标（毫秒）
+// ttfb: 发出请求到首字；duration: 总耗时；tokensPerSecond: 首字之后的输出速度
+function buildMetrics(stream) {
+    if (!stream.startedAt) return null;
     
-    const contentDiv = ChatState.currentMessageDiv.querySelector('.message-content');
+    const now = performance.now();
+    const outputTokens = stream.usage && stream.usage.tokens ? stream.usage.tokens.output : null;
+    const generateMs = stream.firstTokenAt !== null ? now - stream.firstTokenAt : 0;
     
-    let thinkingHtml = '';
-    if (ChatState.currentThinking) {
-        thinkingHtml = `
-            <div class="thinking-container">
+    return {
+        model: stream.modelId,
+        cached: stream.cached,
+        ttfb: stream.firstTokenAt !== null ? Math.round(stream.firstTokenAt - stream.startedAt) : null,
+        duration: Math.round(now - stream.startedAt),
+        outputTokens: outputTokens,
+        tokensPerSecond: outputTokens && generateMs > 0 ? Math.round(outputTokens / generateMs * 10000) / 10 : null,
+    };
+}
+
+// 合并同一帧内的多次更新（每帧最多渲染一次）
+function scheduleStreamingUpdate(stream) {
+    if (stream.updateScheduled) return;
+    stream.updateScheduled = true;
+    requestAnimationFrame(() => {
+        stream.updateScheduled = false;
+        updateStreamingMessage(stream);
+    });
+}
+
+// 更新流式消息显示（对话不在前台时更新的是脱离文档的消息节点，切回时再挂载）
+// 首次更新时建立骨架，之后思考过程只追加文本，正文只重新渲染末尾未完成的块
+function updateStreamingMessage(stream) {
+    if (!stream.messageDiv) return;
+    
+    const contentDiv = stream.messageDiv.querySelector('.message-content');
+    
+    if (!stream.view) {
+        contentDiv.innerHTML = `
+            <div class="thinking-container" style="display: none;">
                 <div class="thinking-header" onclick="this.parentElement.classList.toggle('collapsed')">
                     <span class="thinking-icon">🧠</span>
                     <span>Thinking...</span>
                     <span class="thinking-toggle">▼</span>
                 </div>
-                <div class="thinking-content">${ChatUtils.escapeHtml(ChatState.currentThinking)}</div>
+                <div class="thinking-content"></div>
             </div>
+            <div class="stream-tools"></div>
+            <div class="stream-body"></div>
+            <div class="stream-status" style="display: none;"></div>
         `;
+        stream.view = ChatRenderer.createView(contentDiv.querySelector('.stream-body'));
+        stream.renderedThinkingLength = 0;
+        stream.renderedToolCalls = '';
+        stream.legacyParser = ChatTools.createLegacyParser();
     }
     
-    const htmlContent = ChatState.currentContent ? marked.parse(ChatState.currentContent) : '';
-    contentDiv.innerHTML = thinkingHtml + htmlContent;
+    if (stream.thinking.length > stream.renderedThinkingLength) {
+        const thinkingContainer = contentDiv.querySelector('.thinking-container');
+        thinkingContainer.style.display = '';
+        thinkingContainer.querySelector('.thinking-content').append(stream.thinking.slice(stream.renderedThinkingLength));
+        stream.renderedThinkingLength = stream.thinking.length;
+    }
     
-    const chatMessages = document.getElementById('chatMessages');
-    chatMessages.scrollTop = chatMessages.scrollHeight;
+    // 工具调用卡片（结构化事件，或旧版服务端写在正文中的引用行）
+    // 旧版引用行在到达时从正文中去掉，显示的正文只在末尾追加，符合增量渲染的要求
+    const content = ChatTools.feedLegacy(stream.legacyParser, stream.content);
+    const toolCalls = stream.toolCalls.concat(stream.legacyParser.calls);
+    const toolCallsKey = toolCalls.map(call => call.status).join(',');
+    if (toolCallsKey !== stream.renderedToolCalls) {
+        ChatTools.render(contentDiv.querySelector('.stream-tools'), toolCalls);
+        stream.renderedToolCalls = toolCallsKey;
+    }
+    
+    ChatRenderer.render(stream.view, content);
+    
+    // 断线重连状态
+    const statusDiv = contentDiv.querySelector('.stream-status');
+    statusDiv.style.display = stream.status ? '' : 'none';
+    statusDiv.textContent = stream.status || '';
+    
+    if (isStreamVisible(stream)) {
+        ChatScroll.follow(stream.messageDiv);
+    }
 }
 
 // 完成流式消息
-function finishStreamingMessage(isError = false) {
-    if (!ChatState.currentMessageDiv) return;
+// stopped: 用户手动停止；interrupted: 网络中断且重连失败
+function finishStreamingMessage(stream, isError = false, { stopped = false, interrupted = false } = {}) {
+    if (!stream.messageDiv) return;
     
-    const contentDiv = ChatState.currentMessageDiv.querySelector('.message-content');
-    const chatMessages = document.getElementById('chatMessages');
+    const contentDiv = stream.messageDiv.querySelector('.message-content');
+    const thread = stream.thread;
+    
+    // 收集本次回答的结构化数据
+    const message = {
+        role: 'assistant',
+        content: stream.content,
+        thinking: stream.thinking,
+        systemPrompt: stream.systemPrompt,
+        sources: stream.sources,
+        toolCalls: stream.toolCalls.length > 0 ? ChatTools.finish(stream.toolCalls) : null,
+        summaryInfo: stream.summaryInfo,
+        usage: stream.usage,
+        metrics: buildMetrics(stream),
+        stopped: stopped,
+        interrupted: interrupted,
+        createdAt: Date.now()
+    };
+    
+    if (!isError) {
+        // 继续生成：替换原来那条不完整的回答
+        const index = thread.history.indexOf(stream.continuedMessage);
+        if (index !== -1) {
+            ChatVariants.inherit(message, stream.continuedMessage);
+            thread.history[index] = message;
+        } else {
+            // 重新生成：旧回答保留为其他版本
+            if (stream.regeneratedMessage) {
+                ChatVariants.add(message, stream.regeneratedMessage);
+            }
+            thread.history.push(message);
+        }
+        stream.messageDiv.dataset.index = thread.history.indexOf(message);
+        ChatThreads.touch(thread);
+    } else if (stream.regeneratedMessage) {
+        // 重新生成失败：保留原回答
+        thread.history.push(stream.regeneratedMessage);
+    }
+    
+    contentDiv.innerHTML = isError
+        ? buildAssistantContentHtml(message, true)
+        : buildAssistantContentHtml(message, false, getQuestion(thread.history, thread.history.indexOf(message))) + buildVariantNavHtml(message);
+    enhanceContent(contentDiv);
+    
+    // 保存最终内容用于完成回调（对话模式朗读）
+    const finalContent = stream.content;
+    const messageDiv = stream.messageDiv;
+    const onComplete = stream.onComplete;
+    
+    stream.messageDiv = null;
+    stream.content = '';
+    stream.sources = null;
+    stream.toolCalls = [];
+    stream.continuedMessage = null;
+    stream.regeneratedMessage = null;
+    stream.onComplete = null;
+    
+    if (isStreamVisible(stream)) {
+        ChatScroll.follow(messageDiv);
+    } else {
+        // 后台完成：丢弃切走时缓存的渲染结果，切回时按历史重新渲染
+        thread.html = null;
+    }
+    
+    // 触发完成回调（出错时不传回答内容）
+    if (onComplete) {
+        setTimeout(() => onComplete(isError ? '' : finalContent), 100);
+    }
+}
+
+// 增强已完成回答的内容：代码高亮，引用标记，公式和图表排版
+function enhanceContent(el) {
+    ChatCode.enhance(el);
+    ChatCitations.link(el);
+    ChatDiagrams.render(el);
+}
+
+// 回答对应的提问（history 中紧挨在前面的用户消息）
+function getQuestion(history, index) {
+    const previous = history[index - 1];
+    return previous && previous.role === 'user' ? previous.content : '';
+}
+
+// 根据结构化消息构建助手消息内容 HTML（流式完成与历史恢复共用）
+// query: 对应的提问，用于高亮来源片段中的相同词语
+function buildAssistantContentHtml(message, isError = false, query = '') {
+    // 旧版回答的工具调用写在正文中，解析为卡片
+    const legacy = ChatTools.parseLegacy(message.content);
+    const content = legacy.content;
+    const toolCallsHtml = ChatTools.buildCardsHtml((message.toolCalls || []).concat(legacy.calls));
     
     // 构建系统提示词 HTML
     let systemPromptHtml = '';
-    if (ChatState.currentSystemPrompt) {
+    if (message.systemPrompt) {
         systemPromptHtml = `
             <div class="thinking-container collapsed" style="background: linear-gradient(135deg, rgba(33, 150, 243, 0.1), rgba(3, 169, 244, 0.1)); border-color: rgba(33, 150, 243, 0.3);">
                 <div class="thinking-header" onclick="this.parentElement.classList.toggle('collapsed')" style="background: rgba(33, 150, 243, 0.15);">
@@ -227,14 +532,14 @@ function finishStreamingMessage(isError = false) {
                     <span>系统提示词</span>
                     <span class="thinking-toggle">▼</span>
                 </div>
-                <div class="thinking-content">${ChatUtils.escapeHtml(ChatState.currentSystemPrompt)}</div>
+                <div class="thinking-content">${ChatUtils.escapeHtml(message.systemPrompt)}</div>
             </div>
         `;
     }
     
     // 构建思考过程 HTML
     let thinkingHtml = '';
-    if (ChatState.currentThinking) {
+    if (message.thinking) {
         thinkingHtml = `
             <div class="thinking-container collapsed">
                 <div class="thinking-header" onclick="this.parentElement.classList.toggle('collapsed')">
@@ -242,67 +547,71 @@ function finishStreamingMessage(isError = false) {
                     <span>已完成思考</span>
                     <span class="thinking-toggle">▼</span>
                 </div>
-                <div class="thinking-content">${ChatUtils.escapeHtml(ChatState.currentThinking)}</div>
+                <div class="thinking-content">${ChatUtils.escapeHtml(message.thinking)}</div>
             </div>
         `;
     }
     
     // 渲染最终内容
     let htmlContent = isError 
-        ? ChatUtils.escapeHtml(ChatState.currentContent).replace(/\n/g, '<br>') 
-        : marked.parse(ChatState.currentContent);
+        ? ChatUtils.escapeHtml(content).replace(/\n/g, '<br>') 
+        : ChatSanitizer.sanitize(ChatUtils.makeUrlsClickable(marked.parse(content)));
     
-    htmlContent = ChatUtils.makeUrlsClickable(htmlContent);
+    // 用户手动停止的回答
+    if (message.stopped) {
+        htmlContent += '<div class="message-stopped">⏹️ 已停止生成</div>';
+    }
+    
+    // 网络中断且重连失败的回答
+    if (message.interrupted) {
+        htmlContent += `
+            <div class="message-interrupted">
+                ⚠️ 网络中断，回答不完整
+                <button class="message-continue-btn" onclick="ChatMessage.continueMessage()">继续生成</button>
+            </div>
+        `;
+    }
     
     // 摘要信息
     let summaryHtml = '';
-    if (ChatState.currentSummaryInfo) {
+    if (message.summaryInfo) {
         summaryHtml = `
             <div class="sources-container" style="border-left-color: #9c27b0;">
                 <div class="sources-title">📝 上下文摘要</div>
                 <div class="source-item" style="background: rgba(156, 39, 176, 0.1);">
-                    已压缩 <strong>${ChatState.currentSummaryInfo.rounds_summarized}</strong> 轮历史对话
+                    已压缩 <strong>${Number(message.summaryInfo.rounds_summarized) || 0}</strong> 轮历史对话
                 </div>
             </div>
         `;
     }
     
-    // 检索来源
-    let sourcesHtml = '';
-    if (ChatState.currentSources && ChatState.currentSources.length > 0) {
-        sourcesHtml = `
-            <div class="sources-container">
-                <div class="sources-title">📚 检索来源 (${ChatState.currentSources.length})</div>
-                ${ChatState.currentSources.slice(0, 3).map(s => `
-                    <div class="source-item">
-                        <span class="source-score">${s.score}%</span>
-                        ${ChatUtils.escapeHtml(s.text)}
-                    </div>
-                `).join('')}
-            </div>
-        `;
-    }
+    // 检索来源（编号列表，正文中的 [n] 由 enhanceContent 链接到对应条目）
+    const sourcesHtml = ChatCitations.buildSourcesHtml(message.sources, query);
     
-    // 使用统计
+    // 使用统计（性能指标排在费用之前）
     let usageHtml = '';
-    if (ChatState.currentUsage) {
-        const usage = ChatState.currentUsage;
+    const metricsHtml = buildMetricsHtml(message.metrics);
+    if (message.usage) {
+        const usage = message.usage;
         const tokens = usage.tokens || {};
         usageHtml = `
             <div class="usage-container">
-                <span class="usage-item">🤖 ${usage.model || 'unknown'}</span>
+                <span class="usage-item">🤖 ${ChatUtils.escapeHtml(usage.model || 'unknown')}</span>
                 <span class="usage-item">📊 ${formatTokens(tokens.total || 0)}</span>
                 <span class="usage-item">↗ ${formatTokens(tokens.input || 0)}</span>
                 <span class="usage-item">↙ ${formatTokens(tokens.output || 0)}</span>
-                <span class="usage-item">💰 ${usage.cost_formatted || 'Free'}</span>
+                ${metricsHtml}
+                <span class="usage-item">💰 ${ChatUtils.escapeHtml(usage.cost_formatted || 'Free')}</span>
             </div>
         `;
+    } else if (metricsHtml) {
+        usageHtml = `<div class="usage-container">${metricsHtml}</div>`;
     }
     
     // TTS 预估消耗（如果启用云端 TTS）
     let ttsUsageHtml = '';
-    if (window.ChatTTS && ChatTTS.useCloudTTS && ChatState.currentContent) {
-        const ttsEstimate = ChatTTS.estimateCost(ChatState.currentContent);
+    if (window.ChatTTS && ChatTTS.useCloudTTS && content) {
+        const ttsEstimate = ChatTTS.estimateCost(content);
         if (ttsEstimate) {
             ttsUsageHtml = `
                 <div class="usage-container tts-estimate">
@@ -317,13 +626,12 @@ function finishStreamingMessage(isError = false) {
     // 添加消息操作按钮
     // 使用 data 属性存储消息内容，避免内联事件处理器的转义问题
     const messageId = 'msg-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
-    const messageContent = ChatState.currentContent;
     
     // 将消息内容存储到全局缓存中
     if (!window.ChatMessageCache) {
         window.ChatMessageCache = {};
     }
-    window.ChatMessageCache[messageId] = messageContent;
+    window.ChatMessageCache[messageId] = content;
     
     // 使用纯 data 属性方式，不在 onclick 中传递消息内容，完全避免转义问题
     const actionsHtml = `
@@ -350,27 +658,121 @@ function finishStreamingMessage(isError = false) {
         </div>
     `;
     
-    contentDiv.innerHTML = systemPromptHtml + thinkingHtml + htmlContent + summaryHtml + sourcesHtml + usageHtml + ttsUsageHtml + actionsHtml;
+    return systemPromptHtml + thinkingHtml + toolCallsHtml + htmlContent + summaryHtml + sourcesHtml + usageHtml + ttsUsageHtml + actionsHtml;
+}
+
+// 构建回答版本切换栏（shown 为当前显示的版本）
+function buildVariantNavHtml(message, shown = message.variantIndex) {
+    const info = ChatVariants.getInfo(message);
+    if (!info) return '';
+    shown = Number(shown) || 0;
+    const count = Number(info.count) || 0;
+    
+    return `
+        <div class="variant-nav">
+            <button class="variant-nav-btn" title="上一个版本" ${shown === 0 ? 'disabled' : ''} onclick="ChatMessage.showVariant(this, -1)">‹</button>
+            <span class="variant-nav-label">${shown + 1}/${count}</span>
+            <button class="variant-nav-btn" title="下一个版本" ${shown === count - 1 ? 'disabled' : ''} onclick="ChatMessage.showVariant(this, 1)">›</button>
+            ${shown === Number(info.index)
+                ? '<span class="variant-adopted">✓ 已采用</span>'
+                : '<button class="variant-action-btn" title="后续对话将基于此版本" onclick="ChatMessage.adoptVariant(this)">采用此版本</button>'}
+            <button class="variant-action-btn" onclick="ChatMessage.showVariantDiff(this)">对比</button>
+        </div>
+    `;
+}
+
+// 创建助手消息容器
+function createAssistantMessageDiv(assistant, innerHtml = '') {
+    const messageDiv = document.createElement('div');
+    messageDiv.className = 'message message-assistant';
+    messageDiv.innerHTML = `
+        <div class="message-avatar" style="background: ${assistant.color};">${assistant.avatar}</div>
+        <div class="message-content">${innerHtml}</div>
+    `;
+    return messageDiv;
+}
+
+// 创建用户消息容器（带编辑按钮和分支切换）
+function createUserMessageDiv(message, index) {
+    const messageDiv = document.createElement('div');
+    messageDiv.className = 'message message-user';
+    messageDiv.dataset.index = index;
+    
+    const branch = ChatBranches.getInfo(message);
+    const branchIndex = branch ? Number(branch.index) || 0 : 0;
+    const branchCount = branch ? Number(branch.count) || 0 : 0;
+    const branchHtml = branch ? `
+        <span class="branch-nav">
+            <button class="branch-nav-btn" title="上一个分支" ${branchIndex === 0 ? 'disabled' : ''} onclick="ChatMessage.switchBranch(this, -1)">‹</button>
+            <span class="branch-nav-label">${branchIndex + 1}/${branchCount}</span>
+            <button class="branch-nav-btn" title="下一个分支" ${branchIndex === branchCount - 1 ? 'disabled' : ''} onclick="ChatMessage.switchBranch(this, 1)">›</button>
+        </span>
+    ` : '';
     
-    if (!isError) {
-        ChatState.getCurrentState().history.push({ role: 'assistant', content: ChatState.currentContent });
-    }
+    messageDiv.innerHTML = `
+        <div class="message-user-body">
+            <div class="message-content">${ChatUtils.escapeHtml(message.content)}</div>
+            <div class="message-user-tools">
+                ${branchHtml}
+                <button class="message-edit-btn" title="编辑并从此处分叉" onclick="ChatMessage.editMessage(this)">✏️</button>
+            </div>
+        </div>
+    `;
+    return messageDiv;
+}
+
+// 根据历史记录重新渲染当前助手的对话
+function renderTranscript() {
+    const chatMessages = document.getElementById('chatMessages');
+    const assistant = ChatAssistants.assistants[ChatState.currentAssistant] || ChatAssistants.getDefaultAssistants()[ChatState.currentAssistant];
+    const state = ChatState.getCurrentState();
     
-    // 保存最终内容用于对话模式
-    const finalContent = ChatState.currentContent;
+    chatMessages.innerHTML = ChatAssistants.buildWelcomeMessage(assistant);
     
-    ChatState.currentMessageDiv = null;
-    ChatState.currentContent = '';
-    ChatState.currentSources = null;
+    state.history.forEach((message, index) => {
+        // 正在继续生成的回答由流式消息节点显示
+        if (state.stream && message === state.stream.continuedMessage) return;
+        
+        if (message.role === 'user') {
+            chatMessages.appendChild(createUserMessageDiv(message, index));
+        } else {
+            const messageDiv = createAssistantMessageDiv(assistant, buildAssistantContentHtml(message, false, getQuestion(state.history, index)) + buildVariantNavHtml(message));
+            messageDiv.dataset.index = index;
+            enhanceContent(messageDiv);
+            chatMessages.appendChild(messageDiv);
+        }
+    });
     
-    chatMessages.scrollTop = chatMessages.scrollHeight;
+    state.html = null;
+}
+
+// 恢复当前线程的对话内容（优先使用缓存的渲染结果）
+function restoreTranscript() {
+    const chatMessages = document.getElementById('chatMessages');
+    const state = ChatState.getCurrentState();
     
-    // 触发对话模式回调（如果已设置）
-    if (!isError && window._conversationOnComplete && typeof window._conversationOnComplete === 'function') {
-        setTimeout(() => {
-            window._conversationOnComplete(finalContent);
-        }, 100);
+    if (state.stream && state.stream.messageDiv) {
+        // 正在生成：按历史渲染后挂回流式消息节点
+        renderTranscript();
+        chatMessages.appendChild(state.stream.messageDiv);
+    } else if (state.html) {
+        chatMessages.innerHTML = state.html;
+    } else if (state.history.length > 0) {
+        // 从持久化的结构化消息重新渲染
+        renderTranscript();
+    } else {
+        const assistant = ChatAssistants.assistants[ChatState.currentAssistant];
+        chatMessages.innerHTML = ChatAssistants.buildWelcomeMessage(assistant);
     }
+    
+    // 恢复该对话的滚动位置
+    ChatScroll.restore(state);
+    
+    // 发送/停止按钮跟随当前对话的生成状态
+    updateSendButton();
+    
+    // 显示该对话的待发送消息（在后台时已空闲则继续发送）
+    ChatQueue.next(state);
 }
 
 // 添加消息
@@ -383,19 +785,21 @@ function addMessage(role, content) {
     if (role === 'user') {
         messageDiv.innerHTML = `<div class="message-content">${ChatUtils.escapeHtml(content)}</div>`;
     } else {
-        const htmlContent = marked.parse(content);
+        const htmlContent = ChatSanitizer.sanitize(marked.parse(content));
         messageDiv.innerHTML = `
             <div class="message-avatar" style="background: ${assistant.color};">${assistant.avatar}</div>
             <div class="message-content">${htmlContent}</div>
         `;
+        enhanceContent(messageDiv);
     }
     
     chatMessages.appendChild(messageDiv);
-    chatMessages.scrollTop = chatMessages.scrollHeight;
+    ChatScroll.follow(messageDiv);
 }
 
 // 格式化 token 数量
 function formatTokens(num) {
+    num = Number(num) || 0;
     if (num >= 1000000) {
         return (num / 1000000).toFixed(2) + 'M';
     } else if (num >= 1000) {
@@ -404,6 +808,32 @@ function formatTokens(num) {
     return num.toString();
 }
 
+// 格式化耗时
+function formatDuration(ms) {
+    ms = Number(ms) || 0;
+    return ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(1)}s`;
+}
+
+// 构建性能指标标签
+function buildMetricsHtml(metrics) {
+    if (!metrics) return '';
+    
+    let html = '';
+    if (metrics.cached) {
+        html += '<span class="usage-item usage-metric" title="语义缓存命中">📦 缓存</span>';
+    }
+    if (metrics.ttfb !== null && metrics.ttfb !== undefined) {
+        html += `<span class="usage-item usage-metric" title="首字延迟">⏱️ ${formatDuration(metrics.ttfb)}</span>`;
+    }
+    if (metrics.duration) {
+        html += `<span class="usage-item usage-metric" title="总耗时">⌛ ${formatDuration(metrics.duration)}</span>`;
+    }
+    if (metrics.tokensPerSecond) {
+        html += `<span class="usage-item usage-metric" title="输出速度">⚡ ${Number(metrics.tokensPerSecond) || 0} tok/s</span>`;
+    }
+    return html;
+}
+
 // 更新使用统计显示（实时）
 function updateUsageDisplay(usage) {
     // 可以在此添加实时统计更新逻辑，比如更新底部状态栏
@@ -412,17 +842,31 @@ function updateUsageDisplay(usage) {
 
 // 清空对话
 function clearChat() {
+    if (ChatState.isLoading) {
+        layer.msg('⚠️ 请等待当前回答完成', { icon: 0 });
+        return;
+    }
+    
     layer.confirm('确定要清空当前对话吗？', {
         btn: ['确定', '取消'],
         title: '清空对话'
     }, function(index) {
         const chatMessages = document.getElementById('chatMessages');
         const state = ChatState.getCurrentState();
-        state.history = [];
-        state.chatId = ChatState.generateChatId();
-        state.html = null;
+        
+        // 清空即丢弃当前线程，用新的 chatId 替换（服务端历史随之重置）
+        ChatState.removeThread(state.chatId);
+        ChatStorage.deleteConversation(state.chatId);
+        const thread = ChatState.registerThread(ChatState.createThreadState(ChatState.currentAssistant, {
+            title: state.title,
+            pinned: state.pinned
+        }));
+        ChatState.assistantStates[ChatState.currentAssistant] = thread;
+        
         const assistant = ChatAssistants.assistants[ChatState.currentAssistant];
         chatMessages.innerHTML = ChatAssistants.buildWelcomeMessage(assistant);
+        ChatScroll.restore(thread);
+        ChatSidebar.renderThreadList();
         layer.close(index);
         layer.msg('🗑️ 对话已清空');
     });
@@ -469,13 +913,8 @@ function copyMessage(buttonOrText) {
         return;
     }
     
-    // 过滤工具调用信息
-    text = text
-        .replace(/^>\s*🔧.*$/gm, '')
-        .replace(/^>\s*✅.*$/gm, '')
-        .replace(/^>\s*❌.*$/gm, '')
-        .replace(/\n{3,}/g, '\n\n')
-        .trim();
+    // 过滤旧版正文中的工具调用信息
+    text = ChatTools.parseLegacy(text).content.trim();
     
     navigator.clipboard.writeText(text).then(() => {
         layer.msg('✅ 已复制到剪贴板');
@@ -488,42 +927,187 @@ function copyMessage(buttonOrText) {
 // 重新生成消息
 function regenerateMessage() {
     const state = ChatState.getCurrentState();
-    if (state.history.length < 2) {
+    if (state.stream) {
+        layer.msg('⚠️ 请等待当前回答完成', { icon: 0 });
+        return;
+    }
+    
+    // 取下最后一条助手消息，保留用户消息（及其分支信息）重新生成，旧回答完成后保留为其他版本
+    const last = state.history[state.history.length - 1];
+    const lastUserMsg = last && last.role === 'assistant' ? state.history[state.history.length - 2] : last;
+    if (!lastUserMsg || lastUserMsg.role !== 'user') {
         layer.msg('没有可重新生成的消息', { icon: 0 });
         return;
     }
+    const previous = last !== lastUserMsg ? state.history.pop() : null;
     
-    // 移除最后一条助手消息
-    state.history.pop();
+    // 移除被重新生成的回答；历史以用户消息结尾时只移除未保存的错误消息（没有 data-index）
+    const lastDiv = document.getElementById('chatMessages').lastElementChild;
+    if (lastDiv && lastDiv.classList.contains('message-assistant') && (previous || lastDiv.dataset.index === undefined)) {
+        lastDiv.remove();
+    }
     
-    // 获取最后一条用户消息
-    const lastUserMsg = state.history[state.history.length - 1];
-    if (lastUserMsg && lastUserMsg.role === 'user') {
-        // 移除用户消息（会在 sendMessage 中重新添加）
-        state.history.pop();
-        
-        // 移除 DOM 中的最后两条消息
-        const chatMessages = document.getElementById('chatMessages');
-        const messages = chatMessages.querySelectorAll('.message');
-        if (messages.length >= 2) {
-            messages[messages.length - 1].remove();
-            messages[messages.length - 2].remove();
+    streamAnswer(state, previous);
+}
+
+// 获取版本切换栏所在的回答：{ state, messageDiv, index, message, shown }
+function getVariantTarget(button) {
+    const state = ChatState.getCurrentState();
+    const messageDiv = button.closest('.message-assistant');
+    const index = Number(messageDiv.dataset.index);
+    const message = state.history[index];
+    const shown = messageDiv.dataset.variant !== undefined ? Number(messageDiv.dataset.variant) : message.variantIndex;
+    return { state, messageDiv, index, message, shown };
+}
+
+// 翻看回答的其他版本（只改变显示，不影响历史）
+function showVariant(button, delta) {
+    const { state, messageDiv, index, message, shown } = getVariantTarget(button);
+    const info = ChatVariants.getInfo(message);
+    const target = shown + delta;
+    if (!info || target < 0 || target >= info.count) return;
+    
+    messageDiv.dataset.variant = target;
+    messageDiv.querySelector('.message-content').innerHTML =
+        buildAssistantContentHtml(ChatVariants.get(message, target), false, getQuestion(state.history, index)) + buildVariantNavHtml(message, target);
+    enhanceContent(messageDiv);
+}
+
+// 采用当前显示的版本（写入历史，后续对话基于此版本）
+function adoptVariant(button) {
+    const { state, messageDiv, index, shown } = getVariantTarget(button);
+    if (state.stream) {
+        layer.msg('⚠️ 请等待当前回答完成', { icon: 0 });
+        return;
+    }
+    if (!ChatVariants.adopt(state, index, shown)) return;
+    
+    delete messageDiv.dataset.variant;
+    const message = state.history[index];
+    messageDiv.querySelector('.message-content').innerHTML = buildAssistantContentHtml(message, false, getQuestion(state.history, index)) + buildVariantNavHtml(message);
+    enhanceContent(messageDiv);
+    ChatThreads.touch(state);
+    layer.msg(`✅ 已采用版本 ${shown + 1}`);
+}
+
+// 对比当前显示的版本与前一个版本
+function showVariantDiff(button) {
+    const { message, shown } = getVariantTarget(button);
+    ChatVariants.showDiff(message, shown === 0 ? 1 : shown - 1, shown);
+}
+
+// 编辑用户消息（就地显示编辑框）
+function editMessage(button) {
+    const state = ChatState.getCurrentState();
+    if (state.stream) {
+        layer.msg('⚠️ 请等待当前回答完成', { icon: 0 });
+        return;
+    }
+    
+    const messageDiv = button.closest('.message-user');
+    const message = state.history[Number(messageDiv.dataset.index)];
+    if (!message || messageDiv.classList.contains('editing')) return;
+    
+    messageDiv.classList.add('editing');
+    const body = messageDiv.querySelector('.message-user-body');
+    const editor = document.createElement('div');
+    editor.className = 'message-editor';
+    editor.innerHTML = `
+        <textarea class="message-editor-input"></textarea>
+        <div class="message-editor-actions">
+            <button class="message-editor-btn" onclick="ChatMessage.cancelEdit(this)">取消</button>
+            <button class="message-editor-btn primary" onclick="ChatMessage.submitEdit(this)">保存并发送</button>
+        </div>
+    `;
+    const textarea = editor.querySelector('textarea');
+    textarea.value = message.content;
+    textarea.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && !e.shiftKey) {
+            e.preventDefault();
+            submitEdit(textarea);
+        } else if (e.key === 'Escape') {
+            e.stopPropagation();
+            cancelEdit(textarea);
         }
-        
-        // 重新发送
-        document.getElementById('chatInput').value = lastUserMsg.content;
-        sendMessage();
+    });
+    
+    body.style.display = 'none';
+    messageDiv.appendChild(editor);
+    textarea.focus();
+}
+
+// 取消编辑
+function cancelEdit(el) {
+    const messageDiv = el.closest('.message-user');
+    messageDiv.classList.remove('editing');
+    messageDiv.querySelector('.message-editor').remove();
+    messageDiv.querySelector('.message-user-body').style.display = '';
+}
+
+// 提交编辑：从该消息处分叉出新分支并重新生成回答
+function submitEdit(el) {
+    const state = ChatState.getCurrentState();
+    const messageDiv = el.closest('.message-user');
+    const index = Number(messageDiv.dataset.index);
+    const original = state.history[index];
+    const content = messageDiv.querySelector('.message-editor-input').value.trim();
+    
+    if (state.stream || !original) return;
+    if (!content || content === original.content) {
+        cancelEdit(el);
+        return;
     }
+    
+    ChatBranches.fork(state, index, content);
+    renderTranscript();
+    ChatThreads.touch(state);
+    streamAnswer(state);
+}
+
+// 切换分支（delta 为 -1 / 1）
+function switchBranch(button, delta) {
+    const state = ChatState.getCurrentState();
+    if (state.stream) {
+        layer.msg('⚠️ 请等待当前回答完成', { icon: 0 });
+        return;
+    }
+    
+    const index = Number(button.closest('.message-user').dataset.index);
+    const info = ChatBranches.getInfo(state.history[index]);
+    if (!info || !ChatBranches.switchTo(state, index, info.index + delta)) return;
+    
+    // 保持分叉点在视野中的位置
+    const chatMessages = document.getElementById('chatMessages');
+    const scrollTop = chatMessages.scrollTop;
+    renderTranscript();
+    chatMessages.scrollTop = scrollTop;
+    ChatThreads.touch(state);
 }
 
 // 导出
 window.ChatMessage = {
     sendMessage,
+    sendText,
+    continueMessage,
+    stopGeneration,
+    updateSendButton,
+    handleSendButton,
     addMessage,
     clearChat,
     updateStreamingMessage,
     finishStreamingMessage,
+    buildAssistantContentHtml,
+    createAssistantMessageDiv,
+    renderTranscript,
+    restoreTranscript,
     speakMessage,
     copyMessage,
-    regenerateMessage
+    regenerateMessage,
+    editMessage,
+    cancelEdit,
+    submitEdit,
+    switchBranch,
+    showVariant,
+    adoptVariant,
+    showVariantDiff
 };
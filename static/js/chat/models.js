@@ -108,21 +108,26 @@ function showModelSelector() {
 
 // 选择模型
 function selectModel(modelId) {
-    const model = modelsList.find(m => m.id === modelId);
-    if (!model || model.disabled) return;
-    
-    currentModel = model;
+    const model = applyModel(modelId);
+    if (!model) return;
     
     // 保存到 localStorage 记住选择
     localStorage.setItem('selectedModel', modelId);
     
-    // 更新 UI
-    updateModelDisplay();
-    
     layer.closeAll();
     layer.msg(`🤖 已切换到: ${model.name}`);
 }
 
+// 切换当前模型并更新 UI（不保存，其他标签页同步时也使用）
+function applyModel(modelId) {
+    const model = modelsList.find(m => m.id === modelId);
+    if (!model || model.disabled) return null;
+    
+    currentModel = model;
+    updateModelDisplay();
+    return model;
+}
+
 // 更新模型显示
 function updateModelDisplay() {
     const modelSelector = document.querySelector('.model-selector');
@@ -144,6 +149,38 @@ function getCurrentModelId() {
     return currentModel?.id || 'gemini-2.5-flash';
 }
 
+// 按模型汇总历史回答的性能指标（语义缓存命中的回答不计入）
+function getModelStats() {
+    const stats = {};
+    Object.values(ChatState.threads).forEach(thread => {
+        thread.history.forEach(message => {
+            const metrics = message.metrics;
+            if (!metrics || !metrics.model || metrics.cached) return;
+            
+            const stat = stats[metrics.model] || (stats[metrics.model] = { count: 0, ttfbSum: 0, ttfbCount: 0, speedSum: 0, speedCount: 0 });
+            stat.count++;
+            if (metrics.ttfb !== null && metrics.ttfb !== undefined) {
+                stat.ttfbSum += metrics.ttfb;
+                stat.ttfbCount++;
+            }
+            if (metrics.tokensPerSecond) {
+                stat.speedSum += metrics.tokensPerSecond;
+                stat.speedCount++;
+            }
+        });
+    });
+    
+    const result = {};
+    for (const [modelId, stat] of Object.entries(stats)) {
+        result[modelId] = {
+            count: stat.count,
+            avgTtfb: stat.ttfbCount ? Math.round(stat.ttfbSum / stat.ttfbCount) : null,
+            avgTokensPerSecond: stat.speedCount ? Math.round(stat.speedSum / stat.speedCount * 10) / 10 : null,
+        };
+    }
+    return result;
+}
+
 // 显示管理模型对话框
 function showManageModels() {
     layer.closeAll();
@@ -151,15 +188,27 @@ function showManageModels() {
     let modelsHtml = '<div style="padding: 16px;">';
     modelsHtml += '<div style="margin-bottom: 16px; color: #888;">管理你的 AI 模型配置</div>';
     
+    const modelStats = getModelStats();
     modelsList.forEach(model => {
         const statusColor = model.disabled ? '#f44336' : '#4caf50';
         const statusText = model.disabled ? '未配置' : '已启用';
         
+        // 本地记录的平均首字延迟和输出速度
+        const stat = modelStats[model.id];
+        let statHtml = '';
+        if (stat) {
+            const parts = [`${stat.count} 次回答`];
+            if (stat.avgTtfb !== null) parts.push(`首字 ${(stat.avgTtfb / 1000).toFixed(1)}s`);
+            if (stat.avgTokensPerSecond !== null) parts.push(`${stat.avgTokensPerSecond} tok/s`);
+            statHtml = `<div style="font-size: 12px; color: #888;">⏱️ ${parts.join(' · ')}</div>`;
+        }
+        
         modelsHtml += `
             <div style="display: flex; align-items: center; justify-content: space-between; padding: 12px; margin-bottom: 8px; background: #2d2d2d; border-radius: 8px;">
                 <div>
                     <div style="font-weight: bold;">${model.name}</div>
                     <div style="font-size: 12px; color: #888;">Provider: ${model.provider}</div>
+                    ${statHtml}
                 </div>
                 <div style="display: flex; align-items: center; gap: 8px;">
                     <span style="font-size: 12px; color: ${statusColor};">● ${statusText}</span>
@@ -194,8 +243,10 @@ window.ChatModels = {
     getCurrentModel,
     getCurrentModelId,
     selectModel,
+    applyModel,
     showModelSelector,
     showManageModels,
+    getModelStats,
     updateModelDisplay,
     get modelsList() { return modelsList; }
 };
@@ -11,6 +11,9 @@ const defaultPhrases = [
     { id: 'default_5', title: '诗词总结', content: '以诗词形式总结西游记的主题', icon: '📜', scope: 'global' },
 ];
 
+// 快捷指令弹窗（打开时记录索引，其他标签页修改短语后刷新）
+let quickCommandsLayer = null;
+
 // 加载短语
 function loadPhrases() {
     try {
@@ -34,7 +37,7 @@ function showQuickCommands() {
     const renderPhraseItem = (p) => `
         <div class="phrase-item" style="display: flex; align-items: center; margin-bottom: 10px; padding: 12px; background: var(--bg-tertiary); border-radius: 8px; cursor: pointer;">
             <span style="flex: 1; display: flex; align-items: center; gap: 8px;" onclick="ChatPhrases.usePhrase('${p.id}')">
-                <span>${p.icon || '⚡'}</span>
+                <span>${ChatUtils.escapeHtml(p.icon || '⚡')}</span>
                 <span>${ChatUtils.escapeHtml(p.title)}</span>
             </span>
             ${!p.id.startsWith('default_') ? `
@@ -46,7 +49,7 @@ function showQuickCommands() {
         </div>
     `;
     
-    layui.layer.open({
+    const index = layui.layer.open({
         type: 1,
         title: '⚡ 快捷指令',
         area: ['400px', 'auto'],
@@ -70,8 +73,19 @@ function showQuickCommands() {
                     </div>
                 ` : ''}
             </div>
-        `
+        `,
+        end: () => {
+            if (quickCommandsLayer === index) quickCommandsLayer = null;
+        }
     });
+    quickCommandsLayer = index;
+}
+
+// 短语在其他标签页被修改：重新打开快捷指令弹窗以显示最新列表
+function refreshQuickCommands() {
+    if (quickCommandsLayer === null) return;
+    layui.layer.close(quickCommandsLayer);
+    showQuickCommands();
 }
 
 // 使用短语
@@ -140,7 +154,7 @@ function showAddPhraseDialog(editPhrase = null) {
                 </div>
                 <div style="margin-bottom: 16px;">
                     <label style="display: block; font-size: 14px; margin-bottom: 6px;">图标（可选）</label>
-                    <input type="text" id="phrase_icon" class="layui-input" placeholder="输入一个 emoji，如 🚀" value="${isEdit ? (editPhrase.icon || '') : ''}" style="background: var(--bg-tertiary); border: 1px solid var(--border-color); color: var(--text-primary); padding: 10px 12px; border-radius: 6px; width: 100%;">
+                    <input type="text" id="phrase_icon" class="layui-input" placeholder="输入一个 emoji，如 🚀" value="${isEdit ? ChatUtils.escapeHtml(editPhrase.icon || '') : ''}" style="background: var(--bg-tertiary); border: 1px solid var(--border-color); color: var(--text-primary); padding: 10px 12px; border-radius: 6px; width: 100%;">
                 </div>
                 <div>
                     <label style="display: block; font-size: 14px; margin-bottom: 10px;">添加位置</label>
@@ -219,6 +233,7 @@ window.ChatPhrases = {
     loadPhrases,
     savePhrases,
     showQuickCommands,
+    refreshQuickCommands,
     usePhrase,
     showAddPhraseDialog,
     editPhrase,
@@ -0,0 +1,109 @@
+/**
+ * 待发送消息队列模块
+ *
+ * 回答生成期间发送的消息进入所在对话的队列，在输入框上方显示为待发送气泡，
+ * 当前回答结束后按顺序逐条发送。待发送的消息可以编辑、调整顺序或取消。
+ * 队列只保存在内存中；后台对话的队列在切回该对话时继续发送。
+ */
+
+const ChatQueue = {
+    nextId: 1,
+
+    // 提交一条消息：对话空闲时立即发送，否则排队
+    // onComplete(content): 该消息的回答结束后回调（出错时 content 为空），对话模式用它朗读回答
+    // 立即发送时返回回答完成的 Promise
+    submit(thread, content, onComplete = null) {
+        thread.queue.push({ id: this.nextId++, content: content, onComplete: onComplete });
+        return this.next(thread);
+    },
+
+    // 对话空闲且正在显示时发送队首消息
+    next(thread) {
+        if (thread.stream || thread.queue.length === 0 || thread !== ChatState.getCurrentState()) {
+            this.render();
+            return;
+        }
+
+        const item = thread.queue.shift();
+        this.render();
+        return ChatMessage.sendText(thread, item.content, item.onComplete);
+    },
+
+    // 显示当前对话的待发送消息
+    render() {
+        const container = document.getElementById('messageQueue');
+        if (!container) return;
+
+        const queue = ChatState.getCurrentState().queue;
+        container.style.display = queue.length > 0 ? '' : 'none';
+        container.innerHTML = queue.length === 0 ? '' : `
+            <div class="message-queue-title">⏳ 待发送 (${queue.length})，当前回答完成后依次发送</div>
+            ${queue.map((item, i) => `
+                <div class="message-queue-item" data-id="${item.id}">
+                    <div class="message-queue-actions">
+                        <button class="message-queue-btn" title="上移" onclick="ChatQueue.move(${item.id}, -1)" ${i === 0 ? 'disabled' : ''}>↑</button>
+                        <button class="message-queue-btn" title="下移" onclick="ChatQueue.move(${item.id}, 1)" ${i === queue.length - 1 ? 'disabled' : ''}>↓</button>
+                        <button class="message-queue-btn" title="编辑" onclick="ChatQueue.edit(${item.id})">✏️</button>
+                        <button class="message-queue-btn" title="取消" onclick="ChatQueue.cancel(${item.id})">✕</button>
+                    </div>
+                    <div class="message-queue-content">${ChatUtils.escapeHtml(item.content)}</div>
+                </div>
+            `).join('')}
+        `;
+    },
+
+    // 当前对话队列中的消息
+    find(id) {
+        const queue = ChatState.getCurrentState().queue;
+        const index = queue.findIndex(item => item.id === id);
+        return { queue, index, item: queue[index] };
+    },
+
+    // 调整顺序
+    move(id, delta) {
+        const { queue, index, item } = this.find(id);
+        const target = index + delta;
+        if (!item || target < 0 || target >= queue.length) return;
+
+        queue.splice(index, 1);
+        queue.splice(target, 0, item);
+        this.render();
+    },
+
+    // 编辑内容
+    edit(id) {
+        const { item } = this.find(id);
+        if (!item) return;
+
+        layer.prompt({
+            title: '✏️ 编辑待发送消息',
+            formType: 2,
+            value: item.content
+        }, (value, index) => {
+            const content = value.trim();
+            if (!content) {
+                layer.msg('请输入内容');
+                return;
+            }
+            // 编辑期间消息可能已发送或被取消
+            if (this.find(id).item) {
+                item.content = content;
+                this.render();
+            }
+            layer.close(index);
+        });
+    },
+
+    // 取消发送
+    cancel(id) {
+        const { queue, index, item } = this.find(id);
+        if (!item) return;
+
+        queue.splice(index, 1);
+        this.render();
+        if (item.onComplete) item.onComplete('');
+    }
+};
+
+// 导出
+window.ChatQueue = ChatQueue;
@@ -0,0 +1,354 @@
+/**
+ * 书籍阅读器模块
+ *
+ * 在弹窗中阅读书籍：左侧章节目录，按章翻页、章内滚动，可调整字号和主题。
+ * 每本书的阅读位置（章节 + 滚动比例）保存在 localStorage 中，下次打开时恢复。
+ * 点击回答中检索来源的「原文」会打开对应书籍，定位到该分块并高亮。
+ * 分块文本来自索引，与正文的空白不完全一致，定位时忽略空白逐字匹配。
+ */
+
+const ChatReader = {
+    POSITIONS_KEY: 'readerPositions',
+    SETTINGS_KEY: 'readerSettings',
+
+    // 字号范围
+    FONT_SIZES: { min: 14, max: 26, step: 2, default: 18 },
+
+    THEMES: [
+        ['light', '☀️', '浅色'],
+        ['sepia', '📜', '护眼'],
+        ['dark', '🌙', '深色'],
+    ],
+
+    // 定位分块时的锚点长度（字符，不含空白）
+    ANCHOR_LENGTH: 12,
+
+    book: null,         // 正在阅读的书籍 { book, title, author, format, chapters }
+    chapter: 0,
+    layerIndex: null,
+    tocOpen: true,
+    settings: null,
+    saveTimer: null,
+
+    // 阅读设置
+    getSettings() {
+        if (!this.settings) {
+            try {
+                this.settings = JSON.parse(localStorage.getItem(this.SETTINGS_KEY) || 'null');
+            } catch (e) {}
+            this.settings = Object.assign({ fontSize: this.FONT_SIZES.default, theme: 'light' }, this.settings);
+        }
+        return this.settings;
+    },
+
+    saveSettings() {
+        localStorage.setItem(this.SETTINGS_KEY, JSON.stringify(this.settings));
+    },
+
+    // 各书籍的阅读位置 { [file]: { chapter, offset } }
+    getPositions() {
+        try {
+            return JSON.parse(localStorage.getItem(this.POSITIONS_KEY) || '{}');
+        } catch (e) {
+            return {};
+        }
+    },
+
+    // 保存当前阅读位置（offset 为章内滚动比例）
+    savePosition() {
+        const content = document.getElementById('readerContent');
+        if (!this.book || !content) return;
+
+        const positions = this.getPositions();
+        const scrollable = content.scrollHeight - content.clientHeight;
+        positions[this.book.book] = {
+            chapter: this.chapter,
+            offset: scrollable > 0 ? Math.round(content.scrollTop / scrollable * 1000) / 1000 : 0
+        };
+        localStorage.setItem(this.POSITIONS_KEY, JSON.stringify(positions));
+    },
+
+    // 加载书籍正文（同一本书不重复加载）
+    async loadBook(file) {
+        if (this.book && this.book.book === file) return this.book;
+
+        const response = await fetch(`${ChatConfig.API_BASE}/api/books/content?book=${encodeURIComponent(file)}`);
+        const result = await response.json();
+        const data = result.data || result;
+        if (result.success === false || data.error) {
+            throw new Error((result.error && result.error.message) || data.error || '加载失败');
+        }
+        if (!data.chapters || data.chapters.length === 0) {
+            throw new Error('没有可显示的内容');
+        }
+
+        this.book = data;
+        return data;
+    },
+
+    // 打开阅读器（默认当前书籍，恢复上次的阅读位置）
+    async open(file = ChatBooks.getCurrentBook()) {
+        if (!file) {
+            layer.msg('⚠️ 请先选择一本书籍', { icon: 0 });
+            return;
+        }
+
+        const loading = layer.load(2, { time: 0 });
+        try {
+            await this.loadBook(file);
+        } catch (error) {
+            layer.close(loading);
+            layer.msg('❌ 打开书籍失败: ' + error.message, { icon: 2 });
+            return;
+        }
+        layer.close(loading);
+
+        const position = this.getPositions()[file] || { chapter: 0, offset: 0 };
+        this.show();
+        this.goTo(position.chapter, position.offset);
+    },
+
+    // 打开检索来源所在的位置并高亮
+    async openSource(file, chunkId) {
+        const loading = layer.load(2, { time: 0 });
+        let chunkText;
+        try {
+            const [, chunk] = await Promise.all([
+                this.loadBook(file),
+                fetch(`${ChatConfig.API_BASE}/api/books/chunk?book=${encodeURIComponent(file)}&chunk=${encodeURIComponent(chunkId)}`).then(r => r.json())
+            ]);
+            const data = chunk.data || chunk;
+            if (chunk.success === false || data.error) {
+                throw new Error((chunk.error && chunk.error.message) || data.error || '分块不存在');
+            }
+            chunkText = data.text;
+        } catch (error) {
+            layer.close(loading);
+            layer.msg('❌ 打开原文失败: ' + error.message, { icon: 2 });
+            return;
+        }
+        layer.close(loading);
+
+        const match = this.locate(chunkText);
+        this.show();
+        if (!match) {
+            // 索引可能是旧版本的正文，找不到时打开上次的位置
+            const position = this.getPositions()[file] || { chapter: 0, offset: 0 };
+            this.goTo(position.chapter, position.offset);
+            layer.msg('⚠️ 未能在正文中找到该段落，索引可能已过期', { icon: 0 });
+            return;
+        }
+        this.goTo(match.chapter, 0, match);
+    },
+
+    // 显示阅读器弹窗（已打开时只更新内容）
+    show() {
+        if (this.layerIndex !== null && document.getElementById('readerContent')) {
+            this.renderToc();
+            return;
+        }
+
+        const settings = this.getSettings();
+        this.layerIndex = layer.open({
+            type: 1,
+            title: false,
+            area: ['90%', '90%'],
+            shadeClose: true,
+            content: `
+                <div class="reader theme-${settings.theme}" id="reader">
+                    <div class="reader-toolbar">
+                        <button class="reader-btn" title="目录" onclick="ChatReader.toggleToc()">☰</button>
+                        <div class="reader-title" id="readerTitle"></div>
+                        <button class="reader-btn" title="减小字号" onclick="ChatReader.changeFontSize(-1)">A-</button>
+                        <button class="reader-btn" title="增大字号" onclick="ChatReader.changeFontSize(1)">A+</button>
+                        ${this.THEMES.map(([id, icon, label]) => `
+                            <button class="reader-btn reader-theme-btn" data-theme="${id}" title="${label}" onclick="ChatReader.setTheme('${id}')">${icon}</button>
+                        `).join('')}
+                    </div>
+                    <div class="reader-body">
+                        <div class="reader-toc" id="readerToc"></div>
+                        <div class="reader-content" id="readerContent"></div>
+                    </div>
+                    <div class="reader-footer">
+                        <button class="reader-btn" id="readerPrev" onclick="ChatReader.goTo(ChatReader.chapter - 1)">‹ 上一章</button>
+                        <span class="reader-progress" id="readerProgress"></span>
+                        <button class="reader-btn" id="readerNext" onclick="ChatReader.goTo(ChatReader.chapter + 1)">下一章 ›</button>
+                    </div>
+                </div>
+            `,
+            success: () => {
+                const content = document.getElementById('readerContent');
+                content.addEventListener('scroll', () => {
+                    clearTimeout(this.saveTimer);
+                    this.saveTimer = setTimeout(() => this.savePosition(), 300);
+                });
+                // 章节内的链接指向 EPUB 内部文件，不可跳转
+                content.addEventListener('click', (e) => {
+                    if (e.target.closest('a')) e.preventDefault();
+                });
+                this.applySettings();
+                this.renderToc();
+            },
+            end: () => {
+                clearTimeout(this.saveTimer);
+                this.layerIndex = null;
+            }
+        });
+    },
+
+    // 跳转到章节，offset 为章内滚动比例，match 为要高亮的范围
+    goTo(chapter, offset = 0, match = null) {
+        const chapters = this.book.chapters;
+        this.chapter = Math.max(0, Math.min(chapter, chapters.length - 1));
+
+        const content = document.getElementById('readerContent');
+        if (!content) return;
+
+        content.innerHTML = `<div class="reader-chapter">${ChatSanitizer.sanitize(chapters[this.chapter].html)}</div>`;
+        content.scrollTop = 0;
+
+        document.getElementById('readerTitle').textContent = `${this.book.title} · ${chapters[this.chapter].title}`;
+        document.getElementById('readerProgress').textContent = `${this.chapter + 1} / ${chapters.length}`;
+        document.getElementById('readerPrev').disabled = this.chapter === 0;
+        document.getElementById('readerNext').disabled = this.chapter === chapters.length - 1;
+        this.renderToc();
+
+        if (match) {
+            const mark = this.highlight(content, match.start, match.end);
+            if (mark) mark.scrollIntoView({ block: 'center' });
+        } else if (offset > 0) {
+            content.scrollTop = offset * (content.scrollHeight - content.clientHeight);
+        }
+        this.savePosition();
+    },
+
+    // 章节目录
+    renderToc() {
+        const toc = document.getElementById('readerToc');
+        if (!toc || !this.book) return;
+
+        toc.style.display = this.tocOpen ? '' : 'none';
+        toc.innerHTML = this.book.chapters.map((chapter, i) => `
+            <div class="reader-toc-item ${i === this.chapter ? 'active' : ''}" title="${ChatUtils.escapeHtml(chapter.title)}" onclick="ChatReader.goTo(${i})">${ChatUtils.escapeHtml(chapter.title)}</div>
+        `).join('');
+
+        const active = toc.querySelector('.reader-toc-item.active');
+        if (active) active.scrollIntoView({ block: 'nearest' });
+    },
+
+    toggleToc() {
+        this.tocOpen = !this.tocOpen;
+        this.renderToc();
+    },
+
+    // 调整字号
+    changeFontSize(direction) {
+        const settings = this.getSettings();
+        const { min, max, step } = this.FONT_SIZES;
+        settings.fontSize = Math.max(min, Math.min(max, settings.fontSize + direction * step));
+        this.saveSettings();
+        this.applySettings();
+    },
+
+    // 切换主题
+    setTheme(theme) {
+        this.getSettings().theme = theme;
+        this.saveSettings();
+        this.applySettings();
+    },
+
+    // 应用字号和主题
+    applySettings() {
+        const reader = document.getElementById('reader');
+        if (!reader) return;
+
+        const settings = this.getSettings();
+        reader.className = `reader theme-${settings.theme}`;
+        document.getElementById('readerContent').style.fontSize = settings.fontSize + 'px';
+        reader.querySelectorAll('.reader-theme-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.theme === settings.theme);
+        });
+    },
+
+    // 章节的纯文本（去掉空白）
+    getChapterText(chapter) {
+        if (chapter.plainText === undefined) {
+            const template = document.createElement('template');
+            template.innerHTML = ChatSanitizer.sanitize(chapter.html);
+            chapter.plainText = template.content.textContent.replace(/\s+/g, '');
+        }
+        return chapter.plainText;
+    },
+
+    // 在正文中查找分块：以分块中的一小段为锚点，向前后扩展到最长的一致范围
+    // 返回 { chapter, start, end }（去掉空白后的字符位置），找不到时返回 null
+    locate(chunkText) {
+        // 分块中的「### 标题」是提取文本时加入的，正文中没有
+        const target = String(chunkText || '').replace(/^### .*$/gm, '').replace(/\s+/g, '');
+        if (!target) return null;
+
+        const chapters = this.book.chapters;
+        for (let from = 0; from < target.length; from += this.ANCHOR_LENGTH) {
+            const anchor = target.slice(from, from + this.ANCHOR_LENGTH);
+            for (let i = 0; i < chapters.length; i++) {
+                const text = this.getChapterText(chapters[i]);
+                const pos = text.indexOf(anchor);
+                if (pos === -1) continue;
+
+                let start = pos;
+                let end = pos + anchor.length;
+                let back = from;
+                let forward = from + anchor.length;
+                while (start > 0 && back > 0 && text[start - 1] === target[back - 1]) {
+                    start--;
+                    back--;
+                }
+                while (end < text.length && forward < target.length && text[end] === target[forward]) {
+                    end++;
+                    forward++;
+                }
+                return { chapter: i, start: start, end: end };
+            }
+        }
+        return null;
+    },
+
+    // 用 <mark> 包裹去掉空白后位于 [start, end) 的文字，返回第一个 mark
+    highlight(root, start, end) {
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+        const nodes = [];
+        while (walker.nextNode()) nodes.push(walker.currentNode);
+
+        let count = 0;
+        let first = null;
+        for (const node of nodes) {
+            if (count >= end) break;
+
+            // 该文本节点中落在范围内的字符（以原文位置表示）
+            const text = node.nodeValue;
+            let from = -1;
+            let to = -1;
+            for (let i = 0; i < text.length; i++) {
+                if (/\s/.test(text[i])) continue;
+                if (count >= start && count < end) {
+                    if (from === -1) from = i;
+                    to = i + 1;
+                }
+                count++;
+            }
+            if (from === -1) continue;
+
+            const range = document.createRange();
+            range.setStart(node, from);
+            range.setEnd(node, to);
+            const mark = document.createElement('mark');
+            mark.className = 'reader-highlight';
+            range.surroundContents(mark);
+            if (!first) first = mark;
+        }
+        return first;
+    }
+};
+
+// 导出
+window.ChatReader = ChatReader;
@@ -0,0 +1,86 @@
+/**
+ * 流式 Markdown 增量渲染模块
+ *
+ * 流式输出时正文只会在末尾追加。已完整的块（代码块之外、空行之后）渲染一次后不再变化，
+ * 每次只重新解析末尾未完成的部分，避免整段 marked.parse 带来的平方级开销。
+ * 已渲染的块不会被替换，其中的文本选区在更新时得以保留。
+ * 渲染结果经 ChatSanitizer 净化后才插入 DOM，代码块再由 ChatCode 增强。
+ */
+
+const ChatRenderer = {
+    // 代码块围栏（``` 或 ~~~，最多 3 个空格缩进）
+    FENCE_PATTERN: /^ {0,3}(`{3,}|~{3,})/,
+
+    // 创建增量渲染视图
+    createView(container) {
+        container.innerHTML = '<div class="stream-stable"></div><div class="stream-tail"></div>';
+        return {
+            container: container,
+            stableEl: container.firstElementChild,
+            tailEl: container.lastElementChild,
+            renderedLength: 0,
+        };
+    },
+
+    // 查找 from 之后最后一个可以安全切分的位置
+    // 条件：不在代码块内、前一行为空行、当前行不缩进（避免切断列表项的续行或缩进代码）
+    findStableBoundary(text, from = 0) {
+        let boundary = from;
+        let fence = null;
+        let prevBlank = false;
+        let lineStart = from;
+
+        while (lineStart < text.length) {
+            const lineEnd = text.indexOf('\n', lineStart);
+            const line = text.slice(lineStart, lineEnd === -1 ? text.length : lineEnd);
+
+            if (fence) {
+                const match = line.match(this.FENCE_PATTERN);
+                if (match && match[1][0] === fence[0] && match[1].length >= fence.length && line.trim() === match[1]) {
+                    fence = null;
+                }
+                prevBlank = false;
+            } else {
+                if (prevBlank && line !== '' && !/^\s/.test(line)) {
+                    boundary = lineStart;
+                }
+
+                const match = line.match(this.FENCE_PATTERN);
+                if (match) {
+                    fence = match[1];
+                }
+                prevBlank = line.trim() === '';
+            }
+
+            // 最后一行未结束，等待更多内容
+            if (lineEnd === -1) break;
+            lineStart = lineEnd + 1;
+        }
+
+        return boundary;
+    },
+
+    // 渲染内容（content 必须是上次内容的追加）
+    render(view, content) {
+        // 内容被替换（非追加）时整体重建
+        if (content.length < view.renderedLength) {
+            view.stableEl.innerHTML = '';
+            view.renderedLength = 0;
+        }
+
+        const boundary = this.findStableBoundary(content, view.renderedLength);
+        if (boundary > view.renderedLength) {
+            view.stableEl.insertAdjacentHTML('beforeend', ChatSanitizer.sanitize(marked.parse(content.slice(view.renderedLength, boundary))));
+            view.renderedLength = boundary;
+            // 已完整的代码块高亮一次
+            ChatCode.enhance(view.stableEl);
+        }
+
+        const tail = content.slice(view.renderedLength);
+        view.tailEl.innerHTML = tail ? ChatSanitizer.sanitize(marked.parse(tail)) : '';
+        ChatCode.enhance(view.tailEl, { highlight: false });
+    }
+};
+
+// 导出
+window.ChatRenderer = ChatRenderer;
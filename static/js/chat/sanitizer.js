@@ -0,0 +1,130 @@
+/**
+ * HTML 净化模块（白名单）
+ *
+ * 模型回答经 marked 渲染后可能包含任意 HTML（提示词注入、书籍内容等），
+ * 插入 DOM 前只保留 Markdown 会用到的标签和属性，其余一律移除。
+ * 解析在 <template> 中进行，期间不会执行脚本或加载资源。
+ */
+
+const ChatSanitizer = {
+    // 允许的标签
+    ALLOWED_TAGS: new Set([
+        'a', 'abbr', 'b', 'blockquote', 'br', 'code', 'dd', 'del', 'details', 'div', 'dl', 'dt',
+        'em', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img', 'input', 'ins', 'kbd', 'li',
+        'mark', 'ol', 'p', 'pre', 's', 'small', 'span', 'strong', 'sub', 'summary', 'sup',
+        'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'u', 'ul'
+    ]),
+
+    // 连同内容一起删除的标签（其余不在白名单的标签只去掉标签、保留内容）
+    DROP_TAGS: new Set([
+        'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'template',
+        'noscript', 'noembed', 'noframes', 'xmp', 'plaintext', 'textarea', 'select', 'option',
+        'button', 'form', 'link', 'meta', 'base', 'title', 'svg', 'math', 'audio', 'video', 'source'
+    ]),
+
+    // 各标签允许的属性
+    ALLOWED_ATTRIBUTES: {
+        a: ['href', 'title', 'target', 'rel'],
+        img: ['src', 'alt', 'title', 'width', 'height'],
+        code: ['class'],
+        ol: ['start'],
+        th: ['align', 'colspan', 'rowspan'],
+        td: ['align', 'colspan', 'rowspan'],
+        input: ['type', 'checked', 'disabled'],
+        details: ['open'],
+        abbr: ['title'],
+    },
+
+    // 允许的 URL 协议（无协议的相对地址也允许）
+    SAFE_PROTOCOLS: ['http', 'https', 'mailto'],
+
+    // 净化 HTML 字符串
+    sanitize(html) {
+        if (!html) return '';
+
+        const template = document.createElement('template');
+        template.innerHTML = html;
+        this.cleanChildren(template.content);
+        return template.innerHTML;
+    },
+
+    // 递归清理子节点
+    cleanChildren(parent) {
+        for (const node of Array.from(parent.childNodes)) {
+            if (node.nodeType === Node.TEXT_NODE) continue;
+
+            // 注释等非元素节点直接删除
+            if (node.nodeType !== Node.ELEMENT_NODE) {
+                node.remove();
+                continue;
+            }
+
+            const tag = node.nodeName.toLowerCase();
+            if (this.DROP_TAGS.has(tag)) {
+                node.remove();
+                continue;
+            }
+
+            if (!this.ALLOWED_TAGS.has(tag)) {
+                this.cleanChildren(node);
+                node.replaceWith(...node.childNodes);
+                continue;
+            }
+
+            // 只保留任务列表的复选框
+            if (tag === 'input' && (node.getAttribute('type') || '').toLowerCase() !== 'checkbox') {
+                node.remove();
+                continue;
+            }
+
+            this.cleanAttributes(node, tag);
+            this.cleanChildren(node);
+        }
+    },
+
+    // 清理属性
+    cleanAttributes(el, tag) {
+        const allowed = this.ALLOWED_ATTRIBUTES[tag] || [];
+
+        for (const attr of Array.from(el.attributes)) {
+            const name = attr.name.toLowerCase();
+            if (!allowed.includes(name) || !this.isSafeAttribute(name, attr.value)) {
+                el.removeAttribute(attr.name);
+            }
+        }
+
+        if (tag === 'a' && el.hasAttribute('target')) {
+            el.setAttribute('target', '_blank');
+            el.setAttribute('rel', 'noopener noreferrer');
+        }
+
+        if (tag === 'input') {
+            el.setAttribute('disabled', '');
+        }
+    },
+
+    // 检查属性值
+    isSafeAttribute(name, value) {
+        if (name === 'href' || name === 'src') {
+            return this.isSafeUrl(value);
+        }
+        if (name === 'class') {
+            // 只允许代码块的语言标记
+            return /^language-[\w+#.-]+$/.test(value);
+        }
+        if (name === 'target') {
+            return value === '_blank';
+        }
+        return true;
+    },
+
+    // 检查 URL 协议（去掉浏览器会忽略的空白和控制字符后再判断）
+    isSafeUrl(value) {
+        const url = value.replace(/[\u0000- \u007F-\u009F]/g, '');
+        const match = url.match(/^([a-z][a-z0-9+.-]*):/i);
+        return !match || this.SAFE_PROTOCOLS.includes(match[1].toLowerCase());
+    }
+};
+
+// 导出
+window.ChatSanitizer = ChatSanitizer;
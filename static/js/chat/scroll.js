@@ -0,0 +1,103 @@
+/**
+ * 消息列表滚动模块
+ *
+ * 停留在底部时新内容自动跟随；向上翻看时不再强制滚动，
+ * 改为显示“新内容 ↓”按钮和未读消息数。每个对话线程单独记住滚动位置。
+ */
+
+const ChatScroll = {
+    // 距底部小于该值时视为停留在底部
+    PIN_THRESHOLD: 40,
+
+    container: null,
+    button: null,
+    pinned: true,
+    unread: new Set(),
+
+    // 初始化
+    init() {
+        this.container = document.getElementById('chatMessages');
+        this.button = document.getElementById('scrollLatestBtn');
+        if (!this.container) return;
+
+        // 是否停留在底部只由用户滚动决定，内容增高不会改变该状态
+        this.container.addEventListener('scroll', () => {
+            this.pinned = this.isAtBottom();
+            if (this.pinned) {
+                this.clearUnread();
+            }
+        }, { passive: true });
+
+        if (this.button) {
+            this.button.addEventListener('click', () => this.scrollToBottom());
+        }
+    },
+
+    // 当前是否在底部
+    isAtBottom() {
+        const c = this.container;
+        return c.scrollHeight - c.scrollTop - c.clientHeight < this.PIN_THRESHOLD;
+    },
+
+    // 内容增加后调用：停留在底部则跟随，否则把该消息记为未读
+    follow(messageEl = null) {
+        if (!this.container) return;
+
+        if (this.pinned) {
+            this.container.scrollTop = this.container.scrollHeight;
+            return;
+        }
+
+        if (messageEl) {
+            this.unread.add(messageEl);
+        }
+        this.updateButton();
+    },
+
+    // 滚动到底部并恢复自动跟随
+    scrollToBottom() {
+        if (!this.container) return;
+
+        this.pinned = true;
+        this.container.scrollTop = this.container.scrollHeight;
+        this.clearUnread();
+    },
+
+    // 清空未读
+    clearUnread() {
+        this.unread.clear();
+        this.updateButton();
+    },
+
+    // 更新“新内容”按钮
+    updateButton() {
+        if (!this.button) return;
+
+        const count = this.unread.size;
+        this.button.classList.toggle('show', !this.pinned && count > 0);
+        this.button.querySelector('.scroll-latest-count').textContent = count > 99 ? '99+' : count;
+    },
+
+    // 切走前保存对话的滚动位置（停留在底部时不记录，切回后仍在底部）
+    save(thread) {
+        if (!this.container || !thread) return;
+        thread.scrollTop = this.pinned ? null : this.container.scrollTop;
+    },
+
+    // 恢复对话的滚动位置
+    restore(thread) {
+        if (!this.container) return;
+
+        this.unread.clear();
+        if (thread && thread.scrollTop !== null && thread.scrollTop !== undefined) {
+            this.container.scrollTop = thread.scrollTop;
+            this.pinned = this.isAtBottom();
+            this.updateButton();
+        } else {
+            this.scrollToBottom();
+        }
+    }
+};
+
+// 导出
+window.ChatScroll = ChatScroll;
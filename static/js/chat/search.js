@@ -0,0 +1,126 @@
+/**
+ * 对话全文搜索模块（纯客户端）
+ *
+ * 为每条消息的正文、思考过程和检索来源建立索引，查询按空格拆分为多个词，
+ * 同一字段须包含全部词才算命中（不区分大小写）。
+ * 只索引每个对话当前激活的分支和采用的回答版本，保证点击结果能定位到显示中的消息。
+ * 聊天页侧边栏和独立搜索页共用此模块。
+ */
+
+const ChatSearch = {
+    // 摘要中命中词前后保留的字数
+    SNIPPET_RADIUS: 40,
+
+    // 默认最多返回的结果数
+    MAX_RESULTS: 100,
+
+    // 被索引的字段
+    FIELDS: {
+        content: '正文',
+        thinking: '思考过程',
+        sources: '检索来源'
+    },
+
+    // 建立索引
+    // conversations: [{ chatId, assistantId, title, messages, updatedAt }]
+    buildIndex(conversations) {
+        const entries = [];
+
+        for (const conv of conversations) {
+            (conv.messages || []).forEach((message, index) => {
+                const add = (field, text) => {
+                    if (!text) return;
+                    entries.push({
+                        chatId: conv.chatId,
+                        assistantId: conv.assistantId,
+                        title: conv.title,
+                        index: index,
+                        role: message.role,
+                        field: field,
+                        text: text,
+                        lower: text.toLowerCase(),
+                        time: message.createdAt || conv.updatedAt || 0
+                    });
+                };
+
+                add('content', message.content);
+                add('thinking', message.thinking);
+                if (Array.isArray(message.sources)) {
+                    add('sources', message.sources.map(s => s.text).filter(Boolean).join('\n'));
+                }
+            });
+        }
+
+        return entries;
+    },
+
+    // 拆分查询词
+    parseQuery(query) {
+        return [...new Set(String(query || '').toLowerCase().split(/\s+/).filter(Boolean))];
+    },
+
+    // 搜索：按命中次数、时间排序
+    // options: { assistantId, limit }
+    search(index, query, options = {}) {
+        const terms = this.parseQuery(query);
+        if (terms.length === 0) return [];
+
+        const results = [];
+        for (const entry of index) {
+            if (options.assistantId && entry.assistantId !== options.assistantId) continue;
+
+            let score = 0;
+            for (const term of terms) {
+                const count = entry.lower.split(term).length - 1;
+                if (count === 0) {
+                    score = 0;
+                    break;
+                }
+                score += count;
+            }
+            if (score > 0) {
+                results.push({ ...entry, score, terms });
+            }
+        }
+
+        results.sort((a, b) => b.score - a.score || b.time - a.time);
+        return results.slice(0, options.limit || this.MAX_RESULTS);
+    },
+
+    // 截取第一个命中词附近的摘要并高亮
+    snippet(text, terms, radius = this.SNIPPET_RADIUS) {
+        const lower = text.toLowerCase();
+        const first = Math.min(...terms.map(term => {
+            const pos = lower.indexOf(term);
+            return pos === -1 ? Infinity : pos;
+        }));
+        const pos = first === Infinity ? 0 : first;
+
+        const start = Math.max(0, pos - radius);
+        const end = Math.min(text.length, pos + radius * 2);
+        const excerpt = text.slice(start, end).replace(/\s+/g, ' ');
+        return (start > 0 ? '…' : '') + this.highlight(excerpt, terms) + (end < text.length ? '…' : '');
+    },
+
+    // 转义文本并用 <mark> 包裹命中词
+    highlight(text, terms) {
+        if (terms.length === 0) return ChatUtils.escapeHtml(text);
+
+        const pattern = new RegExp(`(${terms.map(t => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`, 'gi');
+        return text.split(pattern)
+            .map((part, i) => i % 2 === 1 ? `<mark>${ChatUtils.escapeHtml(part)}</mark>` : ChatUtils.escapeHtml(part))
+            .join('');
+    },
+
+    // 格式化时间（今天只显示时刻）
+    formatTime(timestamp) {
+        if (!timestamp) return '';
+        const date = new Date(timestamp);
+        return date.toDateString() === new Date().toDateString()
+            ? date.toLocaleTimeString('zh-CN', { hour: '2-digit', minute: '2-digit' })
+            : date.toLocaleDateString('zh-CN');
+    }
+};
+
+// 导出
+window.ChatSearch = ChatSearch;
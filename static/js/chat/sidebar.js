@@ -1,7 +1,10 @@
 /**
- * 移动端侧边栏模块
+ * 侧边栏模块（移动端侧边栏、对话线程列表、对话搜索）
  */
 
+// 侧边栏搜索最多显示的结果数（完整结果在搜索页查看）
+const SIDEBAR_SEARCH_LIMIT = 20;
+
 let sidebar, sidebarToggle, sidebarOverlay;
 
 // 初始化移动端侧边栏
@@ -90,9 +93,205 @@ function closeSidebar() {
     document.body.style.overflow = '';
 }
 
+// 渲染每个助手下的对话线程列表（当前助手的列表展开）
+function renderThreadList() {
+    document.querySelectorAll('.assistant-item').forEach(item => {
+        const assistantId = item.dataset.assistant;
+        if (!ChatState.assistantStates[assistantId]) return;
+        
+        let list = item.nextElementSibling;
+        if (!list || !list.classList.contains('thread-list')) {
+            list = document.createElement('div');
+            list.className = 'thread-list';
+            list.dataset.assistant = assistantId;
+            item.after(list);
+        }
+        
+        // 有对话正在生成时在助手项上显示忙碌标记
+        const busyCount = ChatState.getStreamingThreads(assistantId).length;
+        let badge = item.querySelector('.assistant-busy');
+        if (!badge) {
+            badge = document.createElement('span');
+            badge.className = 'assistant-busy';
+            item.querySelector('.assistant-name').after(badge);
+        }
+        badge.textContent = busyCount > 1 ? `生成中 ${busyCount}` : '生成中';
+        item.classList.toggle('busy', busyCount > 0);
+        
+        const activeThread = ChatState.assistantStates[assistantId];
+        list.classList.toggle('expanded', assistantId === ChatState.currentAssistant);
+        list.innerHTML = ChatState.getThreads(assistantId).map(thread => `
+            <div class="thread-item ${thread === activeThread ? 'active' : ''} ${thread.pinned ? 'pinned' : ''}" data-chat-id="${thread.chatId}">
+                ${thread.pinned ? '<span class="thread-pin">📌</span>' : ''}
+                ${thread.stream ? '<span class="thread-busy" title="生成中"></span>' : ''}
+                <span class="thread-title" title="${ChatUtils.escapeHtml(ChatThreads.getTitle(thread))}">${ChatUtils.escapeHtml(ChatThreads.getTitle(thread))}</span>
+                <span class="thread-actions">
+                    <span class="thread-action" data-action="pin" title="${thread.pinned ? '取消置顶' : '置顶'}">📌</span>
+                    <span class="thread-action" data-action="rename" title="重命名">✏️</span>
+                    <span class="thread-action" data-action="export" title="导出">📤</span>
+                    <span class="thread-action" data-action="delete" title="删除">🗑️</span>
+                </span>
+            </div>
+        `).join('') + `
+            <div class="thread-new" data-action="new">
+                <i class="layui-icon layui-icon-add-1"></i>
+                <span>新对话</span>
+            </div>
+            <div class="thread-new" data-action="import">
+                <i class="layui-icon layui-icon-upload"></i>
+                <span>导入对话</span>
+            </div>
+        `;
+    });
+}
+
+// 线程列表点击事件（事件委托）
+function handleThreadListClick(e) {
+    const list = e.target.closest('.thread-list');
+    if (!list) return;
+    
+    const actionEl = e.target.closest('[data-action]');
+    const threadEl = e.target.closest('.thread-item');
+    const action = actionEl?.dataset.action;
+    
+    if (action === 'new') {
+        ChatThreads.createThread(list.dataset.assistant);
+    } else if (action === 'import') {
+        ChatExport.importFile();
+        return;
+    } else if (threadEl && action === 'export') {
+        ChatExport.exportThread(threadEl.dataset.chatId);
+        return;
+    } else if (threadEl && action === 'pin') {
+        ChatThreads.togglePin(threadEl.dataset.chatId);
+        return;
+    } else if (threadEl && action === 'rename') {
+        ChatThreads.renameThread(threadEl.dataset.chatId);
+        return;
+    } else if (threadEl && action === 'delete') {
+        ChatThreads.deleteThread(threadEl.dataset.chatId);
+        return;
+    } else if (threadEl) {
+        ChatThreads.switchThread(threadEl.dataset.chatId);
+    }
+    
+    // 移动端切换后关闭侧边栏
+    if (window.innerWidth <= 768) {
+        closeSidebar();
+    }
+}
+
+// 初始化侧边栏搜索
+function initSidebarSearch() {
+    const input = document.getElementById('sidebarSearchInput');
+    const results = document.getElementById('sidebarSearchResults');
+    if (!input || !results) return;
+    
+    let timer = null;
+    input.addEventListener('input', () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => renderSearchResults(input.value), 200);
+    });
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            e.stopPropagation();
+            input.value = '';
+            renderSearchResults('');
+        }
+    });
+    
+    results.addEventListener('click', (e) => {
+        const item = e.target.closest('.search-result');
+        if (item) {
+            openSearchResult(item.dataset.chatId, Number(item.dataset.index));
+            if (window.innerWidth <= 768) {
+                closeSidebar();
+            }
+        } else if (e.target.closest('.search-more')) {
+            // 在首页框架中切换到搜索页
+            window.parent.postMessage({ type: 'navigate', page: 'search', query: 'q=' + encodeURIComponent(input.value) }, location.origin);
+        }
+    });
+}
+
+// 渲染侧边栏搜索结果（搜索时隐藏助手列表）
+function renderSearchResults(query) {
+    const results = document.getElementById('sidebarSearchResults');
+    const searching = query.trim() !== '';
+    document.getElementById('sidebar').classList.toggle('searching', searching);
+    if (!searching) {
+        results.innerHTML = '';
+        return;
+    }
+    
+    // 对话随时在变化，每次搜索都按当前内容重建索引
+    const index = ChatSearch.buildIndex(Object.values(ChatState.threads).map(thread => ({
+        chatId: thread.chatId,
+        assistantId: thread.assistantId,
+        title: ChatThreads.getTitle(thread),
+        messages: thread.history,
+        updatedAt: thread.updatedAt
+    })));
+    const matches = ChatSearch.search(index, query, { limit: SIDEBAR_SEARCH_LIMIT + 1 });
+    
+    if (matches.length === 0) {
+        results.innerHTML = '<div class="search-empty">没有找到相关对话</div>';
+        return;
+    }
+    
+    results.innerHTML = matches.slice(0, SIDEBAR_SEARCH_LIMIT).map(match => {
+        const assistant = ChatAssistants.assistants[match.assistantId] || {};
+        return `
+            <div class="search-result" data-chat-id="${ChatUtils.escapeHtml(match.chatId)}" data-index="${match.index}">
+                <div class="search-result-header">
+                    <span class="search-result-title">${ChatUtils.escapeHtml(assistant.avatar || '')} ${ChatUtils.escapeHtml(match.title)}</span>
+                    <span class="search-result-time">${ChatSearch.formatTime(match.time)}</span>
+                </div>
+                <div class="search-result-snippet">
+                    ${match.field !== 'content' ? `<span class="search-result-field">${ChatSearch.FIELDS[match.field]}</span>` : ''}
+                    ${ChatSearch.snippet(match.text, match.terms, 24)}
+                </div>
+            </div>
+        `;
+    }).join('') + (matches.length > SIDEBAR_SEARCH_LIMIT && window.parent !== window
+        ? '<div class="search-more">在搜索页查看全部结果 →</div>'
+        : '');
+}
+
+// 打开搜索结果：切换到对话并定位、高亮该消息
+function openSearchResult(chatId, index) {
+    if (!ChatState.threads[chatId]) {
+        layer.msg('⚠️ 对话不存在或已删除', { icon: 0 });
+        return;
+    }
+    ChatThreads.switchThread(chatId);
+    
+    const messageDiv = document.querySelector(`#chatMessages .message[data-index="${index}"]`);
+    if (!messageDiv) return;
+    
+    messageDiv.scrollIntoView({ block: 'center' });
+    messageDiv.classList.remove('message-highlight');
+    void messageDiv.offsetWidth;
+    messageDiv.classList.add('message-highlight');
+    setTimeout(() => messageDiv.classList.remove('message-highlight'), 2000);
+}
+
+// 初始化线程列表
+function initThreadList() {
+    const content = document.querySelector('.sidebar-content');
+    if (content) {
+        content.addEventListener('click', handleThreadListClick);
+    }
+    renderThreadList();
+}
+
 // 导出
 window.ChatSidebar = {
     initMobileSidebar,
+    initThreadList,
+    renderThreadList,
+    initSidebarSearch,
+    openSearchResult,
     toggleSidebar,
     openSidebar,
     closeSidebar
@@ -7,51 +7,110 @@ function generateChatId() {
     return 'chat_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
 }
 
-// 每个助手独立的状态存储
-const assistantStates = {
-    book: { history: [], chatId: generateChatId(), html: null },
-    continue: { history: [], chatId: generateChatId(), html: null },
-    chat: { history: [], chatId: generateChatId(), html: null },
-    default: { history: [], chatId: generateChatId(), html: null },
-};
+// 创建对话线程状态
+function createThreadState(assistantId, data = {}) {
+    const now = Date.now();
+    return {
+        chatId: data.chatId || generateChatId(),
+        assistantId: assistantId,
+        title: data.title || '',
+        pinned: !!data.pinned,
+        // 导入的对话在服务端没有历史，请求时需要携带客户端历史
+        imported: !!data.imported,
+        history: data.history || [],
+        html: null,
+        scrollTop: null,
+        stream: null,
+        // 生成期间发送的待发送消息
+        queue: [],
+        createdAt: data.createdAt || now,
+        updatedAt: data.updatedAt || now,
+    };
+}
+
+// 创建流式回答状态（每个线程同一时间最多一个）
+function createStreamState(thread) {
+    return {
+        thread: thread,
+        messageDiv: null,
+        content: '',
+        thinking: '',
+        sources: null,
+        toolCalls: [],
+        summaryInfo: null,
+        systemPrompt: null,
+        usage: null,
+        cached: false,
+        modelId: null,
+        startedAt: 0,
+        firstTokenAt: null,
+        status: null,
+        continuedMessage: null,
+        regeneratedMessage: null,
+        onComplete: null,
+        abortController: null,
+        view: null,
+        renderedThinkingLength: 0,
+        updateScheduled: false,
+    };
+}
+
+// 所有对话线程（chatId → 线程状态）
+const threads = {};
+
+// 每个助手当前激活的对话线程
+const assistantStates = {};
+['book', 'continue', 'chat', 'default'].forEach(id => {
+    assistantStates[id] = createThreadState(id);
+    threads[assistantStates[id].chatId] = assistantStates[id];
+});
 
 // 当前状态
 let currentAssistant = 'book';
-let isLoading = false;
-let currentMessageDiv = null;
-let currentContent = '';
-let currentThinking = '';
-let currentSources = null;
-let currentSummaryInfo = null;
-let currentSystemPrompt = null;
-let abortController = null;
 
 // 获取当前助手的状态
 function getCurrentState() {
     return assistantStates[currentAssistant];
 }
 
+// 获取正在生成回答的线程
+function getStreamingThreads(assistantId = null) {
+    return Object.values(threads)
+        .filter(t => t.stream && (!assistantId || t.assistantId === assistantId));
+}
+
+// 注册对话线程
+function registerThread(thread) {
+    threads[thread.chatId] = thread;
+    return thread;
+}
+
+// 移除对话线程
+function removeThread(chatId) {
+    delete threads[chatId];
+}
+
+// 获取助手的所有对话线程（置顶优先，其次按更新时间倒序）
+function getThreads(assistantId) {
+    return Object.values(threads)
+        .filter(t => t.assistantId === assistantId)
+        .sort((a, b) => (b.pinned - a.pinned) || (b.updatedAt - a.updatedAt));
+}
+
 // 导出
 window.ChatState = {
     assistantStates,
+    threads,
     getCurrentState,
     generateChatId,
+    createThreadState,
+    createStreamState,
+    getStreamingThreads,
+    registerThread,
+    removeThread,
+    getThreads,
     get currentAssistant() { return currentAssistant; },
     set currentAssistant(v) { currentAssistant = v; },
-    get isLoading() { return isLoading; },
-    set isLoading(v) { isLoading = v; },
-    get currentMessageDiv() { return currentMessageDiv; },
-    set currentMessageDiv(v) { currentMessageDiv = v; },
-    get currentContent() { return currentContent; },
-    set currentContent(v) { currentContent = v; },
-    get currentThinking() { return currentThinking; },
-    set currentThinking(v) { currentThinking = v; },
-    get currentSources() { return currentSources; },
-    set currentSources(v) { currentSources = v; },
-    get currentSummaryInfo() { return currentSummaryInfo; },
-    set currentSummaryInfo(v) { currentSummaryInfo = v; },
-    get currentSystemPrompt() { return currentSystemPrompt; },
-    set currentSystemPrompt(v) { currentSystemPrompt = v; },
-    get abortController() { return abortController; },
-    set abortController(v) { abortController = v; },
+    // 当前显示的对话是否正在生成
+    get isLoading() { return !!getCurrentState().stream; },
 };
@@ -0,0 +1,155 @@
+/**
+ * 对话持久化模块（IndexedDB）
+ *
+ * 每个对话线程以 chatId 为主键保存为一条记录：
+ * { chatId, assistantId, title, pinned, imported, messages: [...], createdAt, updatedAt }
+ * messages 保存结构化消息（而非 innerHTML 快照），恢复时重新渲染
+ */
+
+const ChatStorage = {
+    DB_NAME: 'smart_book_chat',
+    DB_VERSION: 1,
+    STORE: 'conversations',
+    dbPromise: null,
+
+    // 打开数据库（只打开一次）
+    open() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('当前浏览器不支持 IndexedDB'));
+                return;
+            }
+
+            const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.STORE)) {
+                    const store = db.createObjectStore(this.STORE, { keyPath: 'chatId' });
+                    store.createIndex('assistantId', 'assistantId');
+                    store.createIndex('updatedAt', 'updatedAt');
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        // 打开失败时允许下次重试
+        this.dbPromise.catch(() => { this.dbPromise = null; });
+        return this.dbPromise;
+    },
+
+    // 在事务中执行一次请求
+    async request(mode, fn) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.STORE, mode);
+            const req = fn(tx.objectStore(this.STORE));
+            tx.oncomplete = () => resolve(req ? req.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    },
+
+    // 将消息转为可持久化的结构（去掉空字段）
+    serializeMessage(message) {
+        const record = {};
+        for (const [key, value] of Object.entries(message)) {
+            if (value !== null && value !== undefined && value !== '') {
+                record[key] = value;
+            }
+        }
+        return record;
+    },
+
+    // 保存对话线程
+    async saveThread(thread) {
+        if (!thread) return;
+
+        try {
+            await this.request('readwrite', store => store.put({
+                chatId: thread.chatId,
+                assistantId: thread.assistantId,
+                title: thread.title,
+                pinned: thread.pinned,
+                imported: thread.imported,
+                messages: thread.history.map(m => this.serializeMessage(m)),
+                createdAt: thread.createdAt,
+                updatedAt: thread.updatedAt,
+            }));
+            // 通知其他标签页（搜索页等未加载同步模块的页面跳过）
+            if (window.ChatSync) ChatSync.notifySaved(thread);
+        } catch (error) {
+            console.warn('⚠️ 保存对话失败:', error);
+        }
+    },
+
+    // 获取单个对话
+    async getConversation(chatId) {
+        return this.request('readonly', store => store.get(chatId));
+    },
+
+    // 获取所有对话（按更新时间倒序）
+    async getAllConversations() {
+        const list = await this.request('readonly', store => store.getAll());
+        return (list || []).sort((a, b) => b.updatedAt - a.updatedAt);
+    },
+
+    // 删除对话
+    async deleteConversation(chatId) {
+        try {
+            await this.request('readwrite', store => store.delete(chatId));
+            if (window.ChatSync) ChatSync.notifyDeleted(chatId);
+        } catch (error) {
+            console.warn('⚠️ 删除对话失败:', error);
+        }
+    },
+
+    // 将保存的记录转为线程状态（沿用原 chatId）
+    toThreadState(conv) {
+        return ChatState.createThreadState(conv.assistantId, {
+            chatId: conv.chatId,
+            title: conv.title,
+            pinned: conv.pinned,
+            imported: conv.imported,
+            history: conv.messages || [],
+            createdAt: conv.createdAt,
+            updatedAt: conv.updatedAt,
+        });
+    },
+
+    // 恢复所有对话线程到 ChatState（沿用原 chatId，保证服务端历史对应）
+    // 每个助手激活最近更新的线程
+    async restore() {
+        try {
+            const conversations = await this.getAllConversations();
+            const restored = new Set();
+
+            for (const conv of conversations) {
+                if (!ChatState.assistantStates[conv.assistantId]) continue;
+
+                const thread = ChatState.registerThread(this.toThreadState(conv));
+
+                if (!restored.has(conv.assistantId)) {
+                    // 替换初始的空线程
+                    const initial = ChatState.assistantStates[conv.assistantId];
+                    if (initial.history.length === 0) {
+                        ChatState.removeThread(initial.chatId);
+                    }
+                    ChatState.assistantStates[conv.assistantId] = thread;
+                    restored.add(conv.assistantId);
+                }
+            }
+
+            if (restored.size > 0) {
+                console.log('💾 已恢复对话:', conversations.length, '个线程');
+            }
+        } catch (error) {
+            console.warn('⚠️ 恢复对话失败:', error);
+        }
+    }
+};
+
+// 导出
+window.ChatStorage = ChatStorage;
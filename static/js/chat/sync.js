@@ -0,0 +1,158 @@
+/**
+ * 多标签页同步模块
+ *
+ * - 设置（模型、书籍、朗读设置、短语）保存在 localStorage，其他标签页通过 storage 事件得知变化并应用
+ * - 对话保存在 IndexedDB，没有变化事件，保存/删除后通过 BroadcastChannel 通知其他标签页
+ *   （不支持 BroadcastChannel 时借助 localStorage 的 storage 事件转发）
+ * - 其他标签页写入本页正在生成回答的对话时提示冲突：两边各自保存，后完成的一方会覆盖另一方
+ */
+
+const ChatSync = {
+    CHANNEL_NAME: 'smart_book_sync',
+    // storage 事件转发通知时使用的键
+    MESSAGE_KEY: 'smart_book_sync_message',
+    // 同一对话的冲突提示间隔
+    CONFLICT_NOTICE_INTERVAL: 30000,
+
+    channel: null,
+    lastConflictNotice: {},
+
+    // 设置键 → 应用函数
+    settingHandlers: {
+        selectedModel: (value) => ChatSync.applyModel(value),
+        selectedBook: (value) => ChatSync.applyBook(value),
+        ttsUseCloud: () => ChatTTS.loadSettings(),
+        [ChatConfig.PHRASES_STORAGE_KEY]: () => ChatPhrases.refreshQuickCommands(),
+    },
+
+    // 初始化
+    init() {
+        if (window.BroadcastChannel) {
+            this.channel = new BroadcastChannel(this.CHANNEL_NAME);
+            this.channel.onmessage = (e) => this.handleMessage(e.data);
+        }
+
+        // storage 事件只在其他标签页触发
+        window.addEventListener('storage', (e) => {
+            if (e.key === this.MESSAGE_KEY) {
+                if (!this.channel && e.newValue) this.handleMessage(JSON.parse(e.newValue));
+                return;
+            }
+            const handler = this.settingHandlers[e.key];
+            if (handler && e.newValue !== null) handler(e.newValue);
+        });
+    },
+
+    // 通知其他标签页
+    broadcast(message) {
+        if (this.channel) {
+            this.channel.postMessage(message);
+        } else {
+            // 附带随机值，保证相同内容也能触发 storage 事件
+            localStorage.setItem(this.MESSAGE_KEY, JSON.stringify({ ...message, nonce: Math.random() }));
+        }
+    },
+
+    // 对话已保存
+    notifySaved(thread) {
+        this.broadcast({ type: 'saved', chatId: thread.chatId, updatedAt: thread.updatedAt });
+    },
+
+    // 对话已删除
+    notifyDeleted(chatId) {
+        this.broadcast({ type: 'deleted', chatId: chatId });
+    },
+
+    // 处理其他标签页的对话通知
+    handleMessage(message) {
+        if (!message || !message.chatId) return;
+
+        const thread = ChatState.threads[message.chatId];
+        if (thread && thread.stream) {
+            this.warnConflict(thread, message.type);
+            return;
+        }
+
+        if (message.type === 'saved') {
+            this.reloadThread(message.chatId, message.updatedAt);
+        } else if (message.type === 'deleted' && thread) {
+            ChatThreads.removeThread(thread);
+        }
+    },
+
+    // 从 IndexedDB 读取其他标签页保存的对话，更新或新增到本页
+    async reloadThread(chatId, updatedAt) {
+        const local = ChatState.threads[chatId];
+        if (local && local.updatedAt >= updatedAt) return;
+
+        let conv;
+        try {
+            conv = await ChatStorage.getConversation(chatId);
+        } catch (error) {
+            console.warn('⚠️ 读取其他标签页保存的对话失败:', error);
+            return;
+        }
+        if (!conv || !ChatState.assistantStates[conv.assistantId]) return;
+
+        // 读取期间本页开始生成，以本页为准
+        const thread = ChatState.threads[chatId];
+        if (thread && thread.stream) return;
+
+        if (!thread) {
+            ChatState.registerThread(ChatStorage.toThreadState(conv));
+            ChatSidebar.renderThreadList();
+            return;
+        }
+
+        const updated = ChatStorage.toThreadState(conv);
+        for (const key of ['title', 'pinned', 'imported', 'history', 'updatedAt']) {
+            thread[key] = updated[key];
+        }
+
+        if (thread === ChatState.getCurrentState()) {
+            ChatScroll.save(thread);
+            thread.html = null;
+            ChatMessage.restoreTranscript();
+            layer.msg('🔄 当前对话已在其他标签页更新');
+        } else {
+            thread.html = null;
+        }
+        ChatSidebar.renderThreadList();
+    },
+
+    // 本页正在生成回答的对话被其他标签页写入
+    warnConflict(thread, type) {
+        const now = Date.now();
+        if (now - (this.lastConflictNotice[thread.chatId] || 0) < this.CONFLICT_NOTICE_INTERVAL) return;
+        this.lastConflictNotice[thread.chatId] = now;
+
+        const title = ChatUtils.escapeHtml(ChatThreads.getTitle(thread));
+        layer.msg(type === 'deleted'
+            ? `⚠️ 对话「${title}」已在其他标签页删除，本页回答完成后会重新保存`
+            : `⚠️ 对话「${title}」同时在其他标签页中修改，本页回答完成后会覆盖对方的内容`, { icon: 0, time: 5000 });
+    },
+
+    // 其他标签页切换了模型
+    applyModel(modelId) {
+        const model = ChatModels.applyModel(modelId);
+        if (model) layer.msg(`🤖 其他标签页已切换到: ${model.name}`);
+    },
+
+    // 其他标签页切换了书籍（服务端已切换，本页只更新显示和助手提示词）
+    async applyBook(file) {
+        if (ChatBooks.currentBook && ChatBooks.currentBook.file === file) return;
+
+        // 其他标签页可能刚上传了新书
+        if (!ChatBooks.books.find(b => b.file === file)) {
+            await ChatBooks.loadBooks();
+        }
+        ChatBooks.applyBook(file);
+        if (!ChatBooks.currentBook) return;
+
+        layer.msg(`📚 其他标签页已切换到《${ChatUtils.escapeHtml(ChatBooks.currentBook.title)}》`);
+        await ChatAssistants.loadAssistants();
+    }
+};
+
+// 导出
+window.ChatSync = ChatSync;
@@ -0,0 +1,137 @@
+/**
+ * 对话线程管理模块
+ * 每个助手可以有多个对话线程，每个线程有独立的 chatId 和历史
+ */
+
+const ChatThreads = {
+    DEFAULT_TITLE: '新对话',
+    TITLE_MAX_LENGTH: 20,
+
+    // 获取线程显示标题
+    getTitle(thread) {
+        return thread.title || this.DEFAULT_TITLE;
+    },
+
+    // 线程有新消息时更新标题、时间并持久化
+    touch(thread = ChatState.getCurrentState()) {
+        if (!thread) return;
+
+        // 没有标题时使用第一条用户消息作为标题
+        if (!thread.title) {
+            const firstUserMsg = thread.history.find(m => m.role === 'user');
+            if (firstUserMsg) {
+                thread.title = firstUserMsg.content.slice(0, this.TITLE_MAX_LENGTH);
+            }
+        }
+
+        thread.updatedAt = Date.now();
+        ChatStorage.saveThread(thread);
+        ChatSidebar.renderThreadList();
+    },
+
+    // 新建线程并切换过去
+    createThread(assistantId = ChatState.currentAssistant) {
+        const thread = ChatState.registerThread(ChatState.createThreadState(assistantId));
+        this.switchThread(thread.chatId);
+        return thread;
+    },
+
+    // 切换到指定线程
+    switchThread(chatId) {
+        const thread = ChatState.threads[chatId];
+        if (!thread) return;
+
+        // 其他助手的线程：先设为该助手的激活线程，再切换助手
+        if (thread.assistantId !== ChatState.currentAssistant) {
+            ChatState.assistantStates[thread.assistantId] = thread;
+            ChatAssistants.switchAssistant(thread.assistantId);
+            return;
+        }
+
+        const current = ChatState.getCurrentState();
+        if (current === thread) return;
+
+        // 保存当前线程的渲染结果（生成中的线程切回时会重新渲染）
+        current.html = document.getElementById('chatMessages').innerHTML;
+        ChatScroll.save(current);
+
+        ChatState.assistantStates[thread.assistantId] = thread;
+        ChatMessage.restoreTranscript();
+        ChatSidebar.renderThreadList();
+    },
+
+    // 重命名线程
+    renameThread(chatId) {
+        const thread = ChatState.threads[chatId];
+        if (!thread) return;
+
+        layer.prompt({
+            title: '✏️ 重命名对话',
+            value: this.getTitle(thread),
+            maxlength: 50
+        }, (value, index) => {
+            const title = value.trim();
+            if (!title) {
+                layer.msg('请输入标题');
+                return;
+            }
+            thread.title = title;
+            ChatStorage.saveThread(thread);
+            ChatSidebar.renderThreadList();
+            layer.close(index);
+        });
+    },
+
+    // 置顶/取消置顶
+    togglePin(chatId) {
+        const thread = ChatState.threads[chatId];
+        if (!thread) return;
+
+        thread.pinned = !thread.pinned;
+        ChatStorage.saveThread(thread);
+        ChatSidebar.renderThreadList();
+        layer.msg(thread.pinned ? '📌 已置顶' : '已取消置顶');
+    },
+
+    // 删除线程
+    deleteThread(chatId) {
+        const thread = ChatState.threads[chatId];
+        if (!thread) return;
+
+        if (thread.stream) {
+            layer.msg('⚠️ 请等待该对话回答完成', { icon: 0 });
+            return;
+        }
+
+        layer.confirm(`确定要删除对话「${ChatUtils.escapeHtml(this.getTitle(thread))}」吗？`, {
+            btn: ['删除', '取消'],
+            title: '删除对话'
+        }, (index) => {
+            this.removeThread(thread);
+            ChatStorage.deleteConversation(chatId);
+            layer.close(index);
+            layer.msg('🗑️ 对话已删除');
+        });
+    },
+
+    // 从本页移除线程（不删除持久化记录，其他标签页删除对话时也使用）
+    removeThread(thread) {
+        const isActive = thread === ChatState.assistantStates[thread.assistantId];
+        ChatState.removeThread(thread.chatId);
+
+        if (isActive) {
+            // 激活该助手的下一个线程，没有则新建
+            const next = ChatState.getThreads(thread.assistantId)[0]
+                || ChatState.registerThread(ChatState.createThreadState(thread.assistantId));
+            ChatState.assistantStates[thread.assistantId] = next;
+            if (thread.assistantId === ChatState.currentAssistant) {
+                ChatMessage.restoreTranscript();
+            }
+        }
+
+        ChatSidebar.renderThreadList();
+    }
+};
+
+// 导出
+window.ChatThreads = ChatThreads;
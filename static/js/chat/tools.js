@@ -0,0 +1,239 @@
+/**
+ * MCP 工具调用卡片模块
+ *
+ * 服务端通过 tool_call / tool_result 事件推送工具调用，每次调用显示为可折叠的卡片：
+ * 工具名、状态、耗时，展开后显示参数和结果。结果中的 MCP 内容（文本、图片、嵌入资源）分别格式化。
+ * 旧版本的回答把工具调用写在正文里（"> 🔧 执行工具: `name`" 等引用行），
+ * 渲染时解析为同样的卡片并从正文中移除。
+ */
+
+const ChatTools = {
+    // 旧版正文中的工具调用行
+    LEGACY_CALL_PATTERN: /^>\s*🔧 执行工具: `([^`]+)`\s*$/,
+    LEGACY_SUCCESS_PATTERN: /^>\s*✅ 工具执行成功\s*$/,
+    LEGACY_ERROR_PATTERN: /^>\s*❌ 工具(?:执行失败|异常): (.*)$/,
+
+    // 可直接显示的图片类型
+    IMAGE_TYPES: /^image\/(png|jpeg|gif|webp)$/,
+
+    // 结果文本超过此长度时截断显示
+    MAX_TEXT_LENGTH: 5000,
+
+    STATUS_LABELS: {
+        running: '⏳ 执行中',
+        success: '✅ 成功',
+        error: '❌ 失败',
+        cancelled: '⏹️ 未完成',
+    },
+
+    // 处理 tool_call / tool_result 事件
+    handleEvent(calls, eventType, data) {
+        let payload;
+        try { payload = JSON.parse(data); } catch (e) { return; }
+
+        if (eventType === 'tool_call') {
+            calls.push({ id: payload.id, name: payload.name, args: payload.args, status: 'running' });
+            return;
+        }
+
+        const call = calls.find(c => c.id === payload.id);
+        if (!call) return;
+        call.status = payload.error ? 'error' : 'success';
+        call.duration = payload.duration;
+        call.error = payload.error || null;
+        call.result = payload.result;
+        call.content = payload.content || null;
+    },
+
+    // 回答结束时仍在执行的调用标记为未完成
+    finish(calls) {
+        calls.forEach(call => {
+            if (call.status === 'running') call.status = 'cancelled';
+        });
+        return calls;
+    },
+
+    // 解析旧版正文中的工具调用行，返回去掉这些行的正文和调用列表
+    parseLegacy(content) {
+        if (!content || !content.includes('工具')) return { content: content || '', calls: [] };
+
+        const calls = [];
+        const lines = content.split('\n').filter(line => !this.matchLegacyLine(calls, line));
+
+        if (calls.length === 0) return { content, calls };
+        return { content: lines.join('\n').replace(/\n{3,}/g, '\n\n').replace(/^\n+/, ''), calls };
+    },
+
+    // 旧版工具调用行：记入 calls 并返回 true（该行应从正文中移除）
+    matchLegacyLine(calls, line) {
+        let match = line.match(this.LEGACY_CALL_PATTERN);
+        if (match) {
+            calls.push({ name: match[1], status: 'running' });
+            return true;
+        }
+
+        const call = calls[calls.length - 1];
+        if (call && call.status === 'running') {
+            if (this.LEGACY_SUCCESS_PATTERN.test(line)) {
+                call.status = 'success';
+                return true;
+            }
+            match = line.match(this.LEGACY_ERROR_PATTERN);
+            if (match) {
+                call.status = 'error';
+                call.error = match[1];
+                return true;
+            }
+        }
+        return false;
+    },
+
+    // 流式输出时逐行解析旧版工具调用行，每行只解析一次
+    createLegacyParser() {
+        return { calls: [], content: '', parsedLength: 0 };
+    },
+
+    // 传入截至目前的完整正文，返回去掉工具调用行的正文
+    // 已完整的行去掉工具调用行后追加到 parser.content，因此返回值总是上次返回值的追加（末尾未完成的行除外）
+    feedLegacy(parser, content) {
+        const end = content.lastIndexOf('\n') + 1;
+        if (end > parser.parsedLength) {
+            const lines = content.slice(parser.parsedLength, end - 1).split('\n');
+            lines.forEach(line => {
+                if (!this.matchLegacyLine(parser.calls, line)) parser.content += line + '\n';
+            });
+            parser.parsedLength = end;
+        }
+        return parser.content + content.slice(parser.parsedLength);
+    },
+
+    // 卡片列表 HTML
+    buildCardsHtml(calls) {
+        if (!calls || calls.length === 0) return '';
+
+        return `
+            <div class="tool-calls">
+                ${calls.map((call, i) => this.buildCardHtml(call, i)).join('')}
+            </div>
+        `;
+    },
+
+    // 单次调用的卡片
+    buildCardHtml(call, index) {
+        const escape = ChatUtils.escapeHtml;
+        const duration = typeof call.duration === 'number' ? this.formatDuration(call.duration) : '';
+        const hasArgs = call.args && Object.keys(call.args).length > 0;
+
+        return `
+            <div class="tool-call tool-call-${escape(call.status)} collapsed" data-call="${index}">
+                <div class="tool-call-header" onclick="this.parentElement.classList.toggle('collapsed')">
+                    <span class="tool-call-icon">🔧</span>
+                    <span class="tool-call-name">${escape(call.name)}</span>
+                    <span class="tool-call-status">${this.STATUS_LABELS[call.status] || ''}</span>
+                    ${duration ? `<span class="tool-call-duration">${duration}</span>` : ''}
+                    <span class="tool-call-toggle">▼</span>
+                </div>
+                <div class="tool-call-body">
+                    ${hasArgs ? `
+                        <div class="tool-call-label">参数</div>
+                        <pre class="tool-call-text">${escape(JSON.stringify(call.args, null, 2))}</pre>
+                    ` : ''}
+                    ${call.status !== 'running' ? `
+                        <div class="tool-call-label">结果</div>
+                        ${this.formatResult(call)}
+                    ` : ''}
+                </div>
+            </div>
+        `;
+    },
+
+    // 流式输出时更新卡片（保留用户已展开的卡片）
+    render(container, calls) {
+        const expanded = [...container.querySelectorAll('.tool-call:not(.collapsed)')].map(el => el.dataset.call);
+        container.innerHTML = this.buildCardsHtml(calls);
+        expanded.forEach(index => {
+            const card = container.querySelector(`.tool-call[data-call="${index}"]`);
+            if (card) card.classList.remove('collapsed');
+        });
+    },
+
+    // 调用结果：优先显示 MCP 内容列表，其次是工具返回的数据
+    formatResult(call) {
+        if (call.error) {
+            return `<div class="tool-call-error">${ChatUtils.escapeHtml(call.error)}</div>`;
+        }
+        if (Array.isArray(call.content) && call.content.length > 0) {
+            return call.content.map(item => this.formatContentItem(item)).join('');
+        }
+        if (call.result === undefined) {
+            return '<div class="tool-call-empty">（旧版记录未保存结果）</div>';
+        }
+        if (call.result === null || call.result === '') {
+            return '<div class="tool-call-empty">（无返回内容）</div>';
+        }
+        return this.formatText(typeof call.result === 'string' ? call.result : JSON.stringify(call.result, null, 2));
+    },
+
+    // MCP 内容项：text / image / audio / resource / resource_link
+    formatContentItem(item) {
+        const escape = ChatUtils.escapeHtml;
+        if (!item || typeof item !== 'object') return this.formatText(String(item));
+
+        switch (item.type) {
+            case 'text':
+                return this.formatText(String(item.text || ''));
+
+            case 'image':
+                if (this.IMAGE_TYPES.test(item.mimeType) && this.isBase64(item.data)) {
+                    return `<img class="tool-call-image" src="data:${item.mimeType};base64,${item.data}" alt="">`;
+                }
+                return `<div class="tool-call-empty">🖼️ 无法显示的图片（${escape(item.mimeType || '未知类型')}）</div>`;
+
+            case 'audio':
+                return `<div class="tool-call-empty">🔊 音频（${escape(item.mimeType || '未知类型')}）</div>`;
+
+            case 'resource': {
+                const resource = item.resource || {};
+                const body = typeof resource.text === 'string'
+                    ? this.formatText(resource.text)
+                    : `<div class="tool-call-empty">二进制内容${resource.blob ? `，约 ${Math.floor(resource.blob.length * 3 / 4)} 字节` : ''}</div>`;
+                return this.formatResourceHeader(resource.uri, resource.mimeType) + body;
+            }
+
+            case 'resource_link':
+                return this.formatResourceHeader(item.uri, item.mimeType, item.name);
+
+            default:
+                return this.formatText(JSON.stringify(item, null, 2));
+        }
+    },
+
+    // 资源的 URI 和类型
+    formatResourceHeader(uri, mimeType, name = '') {
+        const escape = ChatUtils.escapeHtml;
+        return `
+            <div class="tool-call-resource">
+                📄 ${name ? `<strong>${escape(name)}</strong> ` : ''}<span class="tool-call-uri">${escape(uri || '')}</span>
+                ${mimeType ? `<span class="tool-call-mime">${escape(mimeType)}</span>` : ''}
+            </div>
+        `;
+    },
+
+    // 文本结果（过长时截断）
+    formatText(text) {
+        const truncated = text.length > this.MAX_TEXT_LENGTH;
+        return `<pre class="tool-call-text">${ChatUtils.escapeHtml(truncated ? text.slice(0, this.MAX_TEXT_LENGTH) : text)}</pre>`
+            + (truncated ? `<div class="tool-call-empty">… 共 ${text.length} 字，仅显示前 ${this.MAX_TEXT_LENGTH} 字</div>` : '');
+    },
+
+    isBase64(data) {
+        return typeof data === 'string' && /^[A-Za-z0-9+/]+={0,2}$/.test(data);
+    },
+
+    formatDuration(ms) {
+        return ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)} s`;
+    }
+};
+
+// 导出
+window.ChatTools = ChatTools;
@@ -35,11 +35,16 @@ const ChatTTS = {
         this.loadCloudVoices();
         
         // 从 localStorage 恢复设置
-        this.useCloudTTS = localStorage.getItem('ttsUseCloud') !== 'false';
+        this.loadSettings();
         
         console.log('🔊 TTS 模块已初始化');
     },
     
+    // 读取缓存在内存中的设置（语速、云端语音在朗读时直接读取 localStorage）
+    loadSettings() {
+        this.useCloudTTS = localStorage.getItem('ttsUseCloud') !== 'false';
+    },
+    
     // 加载浏览器语音
     loadBrowserVoices() {
         this.browserVoices = speechSynthesis.getVoices();
@@ -2,16 +2,19 @@
  * 工具函数模块
  */
 
-// HTML 转义
+// HTML 转义（同时转义引号，可安全用于属性值）
 function escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
 }
 
-// 将 code 标签中的 URL 转为可点击链接
+// 将 code 标签中的 URL 转为可点击链接（结果仍需经过 ChatSanitizer 净化）
 function makeUrlsClickable(html) {
-    const urlPattern = /<code>(https?:\/\/[^\s<]+)<\/code>/gi;
+    const urlPattern = /<code>(https?:\/\/[^\s<"']+)<\/code>/gi;
     return html.replace(urlPattern, (match, url) => {
         return `<a href="${url}" target="_blank" rel="noopener noreferrer">${url}</a>`;
     });
@@ -0,0 +1,188 @@
+/**
+ * 回答多版本模块
+ *
+ * 重新生成不再丢弃旧回答，同一轮的所有回答保存为版本。history 中是当前采用的版本，
+ * 其余版本保存在它身上：
+ * { role: 'assistant', content, ..., variants: [message | null, ...], variantIndex }
+ * variants 中当前采用的那一项为 null（即消息本身）。
+ * 对比视图按字/词做差异比较，左右并排显示。
+ */
+
+const ChatVariants = {
+    // 超过该规模（两边 token 数之积）时改为按行比较，避免卡顿
+    MAX_DIFF_CELLS: 4000000,
+
+    // 获取版本信息：{ index: 当前采用的序号, count: 版本总数 }
+    getInfo(message) {
+        if (!message || !message.variants) return null;
+        return { index: message.variantIndex, count: message.variants.length };
+    },
+
+    // 对话中是否存在多版本回答
+    hasVariants(thread) {
+        return thread.history.some(m => m.variants);
+    },
+
+    // 获取第 index 个版本
+    get(message, index) {
+        if (!message.variants || index === message.variantIndex) return message;
+        return message.variants[index] || null;
+    },
+
+    // 把重新生成的回答加为 previous 的新版本，并设为采用
+    add(message, previous) {
+        const variants = previous.variants || [null];
+        variants[previous.variantIndex || 0] = this.strip(previous);
+        variants.push(null);
+        message.variants = variants;
+        message.variantIndex = variants.length - 1;
+    },
+
+    // 继续生成替换原回答时保留版本信息
+    inherit(message, previous) {
+        if (!previous.variants) return;
+        message.variants = previous.variants;
+        message.variantIndex = previous.variantIndex;
+    },
+
+    // 采用第 target 个版本（替换 history 中 index 处的回答）
+    adopt(thread, index, target) {
+        const current = thread.history[index];
+        const info = this.getInfo(current);
+        if (!info || target < 0 || target >= info.count || target === info.index) return false;
+
+        const variants = current.variants;
+        variants[info.index] = this.strip(current);
+
+        const next = variants[target];
+        variants[target] = null;
+        next.variants = variants;
+        next.variantIndex = target;
+        thread.history[index] = next;
+        return true;
+    },
+
+    // 去掉版本信息（版本列表不随单个版本保存）
+    strip(message) {
+        delete message.variants;
+        delete message.variantIndex;
+        return message;
+    },
+
+    // 切分为比较单位：中日韩文字逐字，其余按单词、空白和标点
+    tokenize(text) {
+        return text.match(/[\u3040-\u30ff\u3400-\u9fff\uf900-\ufaff\uac00-\ud7af]|\w+|\s+|[^\s\w]/g) || [];
+    },
+
+    // 计算差异，返回 [{ type: 'same' | 'del' | 'ins', text }]
+    diff(a, b) {
+        let left = this.tokenize(a);
+        let right = this.tokenize(b);
+
+        // 规模过大时按行比较
+        if (left.length * right.length > this.MAX_DIFF_CELLS) {
+            left = a.split(/(?<=\n)/);
+            right = b.split(/(?<=\n)/);
+        }
+
+        // 去掉公共前后缀，缩小 LCS 表
+        let prefix = 0;
+        while (prefix < left.length && prefix < right.length && left[prefix] === right[prefix]) prefix++;
+        let suffix = 0;
+        while (suffix < left.length - prefix && suffix < right.length - prefix
+            && left[left.length - 1 - suffix] === right[right.length - 1 - suffix]) suffix++;
+
+        const x = left.slice(prefix, left.length - suffix);
+        const y = right.slice(prefix, right.length - suffix);
+        const n = x.length;
+        const m = y.length;
+
+        // lcs[i][j]: x[i..] 与 y[j..] 的最长公共子序列长度
+        const width = m + 1;
+        const lcs = new Uint32Array((n + 1) * width);
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = m - 1; j >= 0; j--) {
+                lcs[i * width + j] = x[i] === y[j]
+                    ? lcs[(i + 1) * width + j + 1] + 1
+                    : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+            }
+        }
+
+        const ops = [];
+        const push = (type, text) => {
+            const last = ops[ops.length - 1];
+            if (last && last.type === type) {
+                last.text += text;
+            } else {
+                ops.push({ type, text });
+            }
+        };
+
+        push('same', left.slice(0, prefix).join(''));
+        let i = 0;
+        let j = 0;
+        while (i < n && j < m) {
+            if (x[i] === y[j]) {
+                push('same', x[i++]);
+                j++;
+            } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+                push('del', x[i++]);
+            } else {
+                push('ins', y[j++]);
+            }
+        }
+        while (i < n) push('del', x[i++]);
+        while (j < m) push('ins', y[j++]);
+        push('same', left.slice(left.length - suffix).join(''));
+
+        return ops.filter(op => op.text);
+    },
+
+    // 显示两个版本的并排对比
+    showDiff(message, first, second) {
+        const count = this.getInfo(message).count;
+        const options = (selected) => Array.from({ length: count }, (_, i) =>
+            `<option value="${i}" ${i === selected ? 'selected' : ''}>版本 ${i + 1}${i === message.variantIndex ? '（已采用）' : ''}</option>`
+        ).join('');
+
+        layer.open({
+            type: 1,
+            title: '🔍 版本对比',
+            area: ['90%', '80%'],
+            shadeClose: true,
+            content: `
+                <div class="variant-diff">
+                    <div class="variant-diff-header">
+                        <select class="variant-diff-select" data-side="left">${options(first)}</select>
+                        <select class="variant-diff-select" data-side="right">${options(second)}</select>
+                    </div>
+                    <div class="variant-diff-body">
+                        <div class="variant-diff-pane" data-side="left"></div>
+                        <div class="variant-diff-pane" data-side="right"></div>
+                    </div>
+                </div>
+            `,
+            success: (layero) => {
+                const root = layero[0].querySelector('.variant-diff');
+                const update = () => {
+                    const [left, right] = Array.from(root.querySelectorAll('.variant-diff-select'))
+                        .map(select => this.get(message, Number(select.value)).content || '');
+                    const ops = this.diff(left, right);
+                    const render = (hidden, mark) => ops
+                        .filter(op => op.type !== hidden)
+                        .map(op => op.type === 'same'
+                            ? ChatUtils.escapeHtml(op.text)
+                            : `<${mark}>${ChatUtils.escapeHtml(op.text)}</${mark}>`)
+                        .join('');
+                    root.querySelector('.variant-diff-pane[data-side="left"]').innerHTML = render('ins', 'del');
+                    root.querySelector('.variant-diff-pane[data-side="right"]').innerHTML = render('del', 'ins');
+                };
+                root.querySelectorAll('.variant-diff-select').forEach(select => select.addEventListener('change', update));
+                update();
+            }
+        });
+    }
+};
+
+// 导出
+window.ChatVariants = ChatVariants;
@@ -6,35 +6,46 @@
 const pageMap = {
     chat: 'pages/chat.html',
     assistant: 'pages/placeholder.html',
-    library: 'pages/placeholder.html',
+    library: 'pages/library.html',
     plugins: 'pages/placeholder.html',
-    search: 'pages/placeholder.html',
+    search: 'pages/search.html',
     notes: 'pages/placeholder.html',
     settings: 'pages/settings.html',
 };
 
+// 切换到指定页面（query 为附加的查询参数，如 "q=关键词"）
+function navigateTo(page, query = '') {
+    const item = document.querySelector(`.icon-nav-item[data-page="${page}"]`);
+    const url = pageMap[page];
+    if (!item || !url) return;
+    
+    // 更新激活状态
+    document.querySelectorAll('.icon-nav-item').forEach(i => i.classList.remove('active'));
+    item.classList.add('active');
+    
+    // 切换页面
+    const frame = document.getElementById('mainFrame');
+    frame.src = query ? `${url}?${query}` : url;
+    
+    // 保存当前页面
+    localStorage.setItem('currentPage', page);
+}
+
 // 初始化导航
 function initNav() {
     document.querySelectorAll('.icon-nav-item').forEach(item => {
         item.addEventListener('click', () => {
             const page = item.dataset.page;
             if (!page) return;
-            
-            // 更新激活状态
-            document.querySelectorAll('.icon-nav-item').forEach(i => i.classList.remove('active'));
-            item.classList.add('active');
-            
-            // 切换页面
-            const frame = document.getElementById('mainFrame');
-            const url = pageMap[page];
-            if (url) {
-                frame.src = url;
-            }
-            
-            // 保存当前页面
-            localStorage.setItem('currentPage', page);
+            navigateTo(page);
         });
     });
+    
+    // 子页面请求跳转：postMessage({ type: 'navigate', page, query })
+    window.addEventListener('message', (e) => {
+        if (e.origin !== location.origin || !e.data || e.data.type !== 'navigate') return;
+        navigateTo(e.data.page, e.data.query);
+    });
 }
 
 // 恢复上次页面
@@ -0,0 +1,150 @@
+/**
+ * 书籍库页脚本
+ *
+ * 从 /api/books 加载书籍，支持搜索、按索引状态过滤、排序以及网格/列表两种视图。
+ * 选择书籍后跳转到聊天页，由聊天页完成切换（?book=<文件名>）。
+ */
+
+// 视图偏好
+const VIEW_STORAGE_KEY = 'libraryView';
+
+// 索引状态过滤
+const INDEX_FILTERS = [
+    ['', '全部'],
+    ['indexed', '✅ 已索引'],
+    ['unindexed', '⚠️ 未索引'],
+];
+
+// 排序方式（书名、作者升序，其余降序）
+const SORTERS = {
+    title: (a, b) => a.title.localeCompare(b.title, 'zh-CN'),
+    author: (a, b) => (a.author || '').localeCompare(b.author || '', 'zh-CN') || a.title.localeCompare(b.title, 'zh-CN'),
+    addedAt: (a, b) => (b.addedAt || 0) - (a.addedAt || 0),
+    size: (a, b) => (b.size || 0) - (a.size || 0),
+    chunkCount: (a, b) => b.chunkCount - a.chunkCount,
+};
+
+// 页面状态
+let books = [];
+let indexFilter = '';
+let view = localStorage.getItem(VIEW_STORAGE_KEY) || 'grid';
+
+// 初始化
+document.addEventListener('DOMContentLoaded', async () => {
+    let timer = null;
+    document.getElementById('librarySearch').addEventListener('input', () => {
+        clearTimeout(timer);
+        timer = setTimeout(renderBooks, 200);
+    });
+
+    document.getElementById('librarySort').addEventListener('change', renderBooks);
+
+    document.getElementById('libraryFilters').addEventListener('click', (e) => {
+        const chip = e.target.closest('.library-filter');
+        if (!chip) return;
+        indexFilter = chip.dataset.filter;
+        renderFilters();
+        renderBooks();
+    });
+
+    document.getElementById('libraryViewToggle').addEventListener('click', (e) => {
+        const btn = e.target.closest('.library-view-btn');
+        if (!btn) return;
+        view = btn.dataset.view;
+        localStorage.setItem(VIEW_STORAGE_KEY, view);
+        renderBooks();
+    });
+
+    document.getElementById('libraryBooks').addEventListener('click', (e) => {
+        const card = e.target.closest('.library-book');
+        if (card) openBook(card.dataset.file);
+    });
+
+    await loadBooks();
+    renderFilters();
+    renderBooks();
+});
+
+// 加载书籍列表
+async function loadBooks() {
+    try {
+        const response = await fetch(`${ChatConfig.API_BASE}/api/books`);
+        const result = await response.json();
+        const data = result.data || result;
+        books = data.books || [];
+    } catch (error) {
+        console.error('❌ 加载书籍列表失败:', error);
+        setStatus(`❌ 加载书籍列表失败: ${error.message}`);
+    }
+}
+
+// 索引状态过滤（附带数量）
+function renderFilters() {
+    const counts = {
+        '': books.length,
+        indexed: books.filter(b => b.hasIndex).length,
+        unindexed: books.filter(b => !b.hasIndex).length,
+    };
+    document.getElementById('libraryFilters').innerHTML = INDEX_FILTERS.map(([id, label]) => `
+        <span class="library-filter ${id === indexFilter ? 'active' : ''}" data-filter="${id}">${label} (${counts[id]})</span>
+    `).join('');
+}
+
+// 按搜索词、过滤条件和排序方式渲染书籍
+function renderBooks() {
+    const container = document.getElementById('libraryBooks');
+    const terms = document.getElementById('librarySearch').value.toLowerCase().split(/\s+/).filter(Boolean);
+    const sorter = SORTERS[document.getElementById('librarySort').value] || SORTERS.title;
+
+    document.querySelectorAll('.library-view-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.view === view);
+    });
+    container.className = `library-books ${view}`;
+
+    const matches = books.filter(book => {
+        if (indexFilter === 'indexed' && !book.hasIndex) return false;
+        if (indexFilter === 'unindexed' && book.hasIndex) return false;
+        const text = `${book.title} ${book.author || ''} ${book.file}`.toLowerCase();
+        return terms.every(term => text.includes(term));
+    }).sort(sorter);
+
+    if (books.length === 0) {
+        setStatus('还没有书籍，可在聊天页的书籍列表中上传');
+    } else {
+        setStatus(matches.length === books.length ? `共 ${books.length} 本书籍` : `显示 ${matches.length} / ${books.length} 本书籍`);
+    }
+
+    const escape = ChatUtils.escapeHtml;
+    container.innerHTML = matches.map(book => `
+        <div class="library-book ${book.isSelected ? 'selected' : ''}" data-file="${escape(book.file)}" title="在聊天中使用《${escape(book.title)}》">
+            <div class="library-book-cover">${book.format === 'EPUB' ? '📘' : '📄'}</div>
+            <div class="library-book-info">
+                <div class="library-book-title">${escape(book.title)}</div>
+                <div class="library-book-author">${escape(book.author || '未知作者')}</div>
+                <div class="library-book-meta">
+                    <span class="library-book-format">${escape(book.format)}</span>
+                    <span>${escape(book.fileSize)}</span>
+                    ${book.hasIndex
+                        ? `<span class="library-book-index ready">✅ 已索引 · ${book.chunkCount} 块</span>`
+                        : '<span class="library-book-index">⚠️ 未索引</span>'}
+                    ${book.isSelected ? '<span class="library-book-current">当前书籍</span>' : ''}
+                </div>
+            </div>
+        </div>
+    `).join('');
+}
+
+// 在聊天页中使用该书籍
+function openBook(file) {
+    const query = `book=${encodeURIComponent(file)}`;
+    if (window.parent !== window) {
+        window.parent.postMessage({ type: 'navigate', page: 'chat', query: query }, location.origin);
+    } else {
+        location.href = `chat.html?${query}`;
+    }
+}
+
+// 更新状态栏
+function setStatus(text) {
+    document.getElementById('libraryStatus').textContent = text;
+}
@@ -305,8 +305,11 @@ class McpClient {
             if (response.status === 200) {
                 // SSE 响应
                 if (contentType.includes('text/event-stream')) {
-                    const text = await response.text();
-                    return this.parseSSEResponse(text);
+                    let result = null;
+                    await SSEClient.read(response, (event) => {
+                        result = this.parseSSEMessage(event.data) || result;
+                    });
+                    return result || {};
                 }
                 // JSON 响应
                 return await response.json();
@@ -355,50 +358,29 @@ class McpClient {
      * 根据规范，SSE 流中可能包含多个事件
      */
     parseSSEResponse(body) {
-        const lines = body.split('\n');
         let result = null;
-        let currentData = '';
-        
-        for (const rawLine of lines) {
-            const line = rawLine.replace(/\r$/, '');
-            
-            // 空行表示事件结束
-            if (line === '' && currentData !== '') {
-                try {
-                    const parsed = JSON.parse(currentData);
-                    // 保存最后一个有效的请求响应
-                    if (parsed.result !== undefined || parsed.error !== undefined) {
-                        result = parsed;
-                    }
-                } catch (e) {}
-                currentData = '';
-                continue;
-            }
-            
-            // 解析 data 行
-            if (line.startsWith('data:')) {
-                let data = line.substring(5);
-                // 处理多行数据（规范要求 data: 后可以有一个空格）
-                if (data.length > 0 && data[0] === ' ') {
-                    data = data.substring(1);
-                }
-                currentData += data;
-            }
-        }
-        
-        // 处理最后一个事件
-        if (currentData !== '') {
-            try {
-                const parsed = JSON.parse(currentData);
-                if (parsed.result !== undefined || parsed.error !== undefined) {
-                    result = parsed;
-                }
-            } catch (e) {}
-        }
-        
+        const parser = new SSEParser((event) => {
+            result = this.parseSSEMessage(event.data) || result;
+        });
+        parser.feed(body);
+        parser.end();
         return result || {};
     }
     
+    /**
+     * 解析单个 SSE 事件数据
+     * 只返回请求响应（包含 result 或 error），忽略通知等其他消息
+     */
+    parseSSEMessage(data) {
+        try {
+            const parsed = JSON.parse(data);
+            if (parsed.result !== undefined || parsed.error !== undefined) {
+                return parsed;
+            }
+        } catch (e) {}
+        return null;
+    }
+    
     /**
      * 获取工具定义（OpenAI 格式）
      */
@@ -0,0 +1,138 @@
+/**
+ * 搜索页脚本
+ *
+ * 直接读取 IndexedDB 中保存的对话建立索引，点击结果跳转到聊天页并定位到该消息。
+ */
+
+// 页面状态
+let searchIndex = [];
+let assistants = {};
+let assistantFilter = '';
+
+// 初始化
+document.addEventListener('DOMContentLoaded', async () => {
+    const input = document.getElementById('searchInput');
+
+    let timer = null;
+    input.addEventListener('input', () => {
+        clearTimeout(timer);
+        timer = setTimeout(runSearch, 200);
+    });
+
+    document.getElementById('searchFilters').addEventListener('click', (e) => {
+        const chip = e.target.closest('.search-filter');
+        if (!chip) return;
+        assistantFilter = chip.dataset.assistant;
+        renderFilters();
+        runSearch();
+    });
+
+    document.getElementById('searchResults').addEventListener('click', (e) => {
+        const item = e.target.closest('.search-result');
+        if (item) {
+            openResult(item.dataset.chatId, item.dataset.index);
+        }
+    });
+
+    // 从侧边栏跳转过来时带有 ?q=
+    input.value = new URLSearchParams(location.search).get('q') || '';
+
+    await Promise.all([loadAssistants(), loadIndex()]);
+    renderFilters();
+    runSearch();
+});
+
+// 加载助手名称和头像（失败时显示助手 ID）
+async function loadAssistants() {
+    try {
+        const response = await fetch(`${ChatConfig.API_BASE}/api/config/assistants`);
+        const result = await response.json();
+        const data = result.data || result;
+        for (const config of data.list || []) {
+            assistants[config.id] = { name: config.name, avatar: config.avatar };
+        }
+    } catch (error) {
+        console.warn('⚠️ 加载助手配置失败:', error);
+    }
+}
+
+// 读取所有保存的对话并建立索引
+async function loadIndex() {
+    try {
+        const conversations = await ChatStorage.getAllConversations();
+        searchIndex = ChatSearch.buildIndex(conversations.map(conv => ({
+            chatId: conv.chatId,
+            assistantId: conv.assistantId,
+            title: conv.title || '新对话',
+            messages: conv.messages,
+            updatedAt: conv.updatedAt
+        })));
+        setStatus(`已索引 ${conversations.length} 个对话`);
+    } catch (error) {
+        console.error('❌ 读取对话失败:', error);
+        setStatus(`❌ 读取对话失败: ${error.message}`);
+    }
+}
+
+// 助手过滤
+function renderFilters() {
+    const ids = [...new Set(searchIndex.map(entry => entry.assistantId))];
+    document.getElementById('searchFilters').innerHTML = [['', '全部'], ...ids.map(id => [id, getAssistantLabel(id)])]
+        .map(([id, label]) => `
+            <span class="search-filter ${id === assistantFilter ? 'active' : ''}" data-assistant="${ChatUtils.escapeHtml(id)}">${ChatUtils.escapeHtml(label)}</span>
+        `).join('');
+}
+
+// 助手显示名称
+function getAssistantLabel(assistantId) {
+    const assistant = assistants[assistantId];
+    return assistant ? `${assistant.avatar} ${assistant.name}` : assistantId;
+}
+
+// 执行搜索并渲染结果
+function runSearch() {
+    const query = document.getElementById('searchInput').value;
+    const container = document.getElementById('searchResults');
+
+    if (!query.trim()) {
+        container.innerHTML = '';
+        return;
+    }
+
+    const results = ChatSearch.search(searchIndex, query, { assistantId: assistantFilter });
+    setStatus(results.length > 0
+        ? `找到 ${results.length >= ChatSearch.MAX_RESULTS ? ChatSearch.MAX_RESULTS + '+' : results.length} 条结果`
+        : '没有找到相关对话');
+
+    container.innerHTML = results.map(result => `
+        <div class="search-result" data-chat-id="${ChatUtils.escapeHtml(result.chatId)}" data-index="${result.index}">
+            <div class="search-result-header">
+                <span class="search-result-title">${ChatSearch.highlight(result.title, result.terms)}</span>
+                <span class="search-result-meta">
+                    ${ChatUtils.escapeHtml(getAssistantLabel(result.assistantId))}
+                    · ${result.role === 'user' ? '提问' : '回答'}
+                    · ${ChatSearch.formatTime(result.time)}
+                </span>
+            </div>
+            <div class="search-result-snippet">
+                ${result.field !== 'content' ? `<span class="search-result-field">${ChatSearch.FIELDS[result.field]}</span>` : ''}
+                ${ChatSearch.snippet(result.text, result.terms)}
+            </div>
+        </div>
+    `).join('');
+}
+
+// 跳转到聊天页中的消息
+function openResult(chatId, index) {
+    const query = `chat=${encodeURIComponent(chatId)}&message=${index}`;
+    if (window.parent !== window) {
+        window.parent.postMessage({ type: 'navigate', page: 'chat', query: query }, location.origin);
+    } else {
+        location.href = `chat.html?${query}`;
+    }
+}
+
+// 更新状态栏
+function setStatus(text) {
+    document.getElementById('searchStatus').textContent = text;
+}
@@ -0,0 +1,305 @@
+/**
+ * SSE Client - 通用 Server-Sent Events 流读取
+ * 基于 fetch 响应体解析事件流，支持 POST 请求和 AbortController
+ *
+ * @see https://html.spec.whatwg.org/multipage/server-sent-events.html#event-stream-interpretation
+ */
+
+/**
+ * SSE 事件流解析器（增量解析）
+ *
+ * 支持 event / data / id / retry 字段、注释行、CRLF / LF / CR 换行，
+ * 未指定 event 字段的事件类型为 message
+ */
+class SSEParser {
+    constructor(onEvent) {
+        this.onEvent = onEvent;
+        this.buffer = '';
+        this.eventType = '';
+        this.data = '';
+        this.lastEventId = '';
+        this.retry = null;
+        this.started = false;
+    }
+
+    /**
+     * 输入一段文本
+     */
+    feed(text) {
+        if (!text) return;
+
+        // 去掉流开头的 BOM
+        if (!this.started) {
+            this.started = true;
+            if (text.charCodeAt(0) === 0xFEFF) {
+                text = text.slice(1);
+            }
+        }
+
+        this.buffer += text;
+
+        let start = 0;
+        for (let i = 0; i < this.buffer.length; i++) {
+            const ch = this.buffer[i];
+            if (ch !== '\n' && ch !== '\r') continue;
+
+            // 末尾的 \r 可能与下一段的 \n 组成 CRLF，留到下次处理
+            if (ch === '\r' && i === this.buffer.length - 1) break;
+
+            this.processLine(this.buffer.slice(start, i));
+            if (ch === '\r' && this.buffer[i + 1] === '\n') i++;
+            start = i + 1;
+        }
+
+        this.buffer = this.buffer.slice(start);
+    }
+
+    /**
+     * 流结束：处理剩余内容
+     * 与规范不同，末尾缺少空行的事件也会被派发，避免丢失最后一个事件
+     */
+    end() {
+        if (this.buffer.endsWith('\r')) {
+            this.buffer = this.buffer.slice(0, -1);
+        }
+        if (this.buffer !== '') {
+            this.processLine(this.buffer);
+            this.buffer = '';
+        }
+        this.dispatch();
+    }
+
+    /**
+     * 处理单行
+     */
+    processLine(line) {
+        // 空行：派发事件
+        if (line === '') {
+            this.dispatch();
+            return;
+        }
+
+        // 注释行
+        if (line[0] === ':') return;
+
+        let field = line;
+        let value = '';
+        const colon = line.indexOf(':');
+        if (colon !== -1) {
+            field = line.slice(0, colon);
+            value = line.slice(colon + 1);
+            if (value[0] === ' ') {
+                value = value.slice(1);
+            }
+        }
+
+        switch (field) {
+            case 'event':
+                this.eventType = value;
+                break;
+            case 'data':
+                this.data += value + '\n';
+                break;
+            case 'id':
+                if (!value.includes('\0')) {
+                    this.lastEventId = value;
+                }
+                break;
+            case 'retry':
+                if (/^\d+$/.test(value)) {
+                    this.retry = parseInt(value, 10);
+                }
+                break;
+            default:
+                // 未知字段按规范忽略
+                break;
+        }
+    }
+
+    /**
+     * 派发当前事件
+     */
+    dispatch() {
+        if (this.data === '') {
+            this.eventType = '';
+            return;
+        }
+
+        const event = {
+            type: this.eventType || 'message',
+            data: this.data.slice(0, -1),
+            id: this.lastEventId,
+            retry: this.retry,
+        };
+
+        this.eventType = '';
+        this.data = '';
+        this.onEvent(event);
+    }
+}
+
+class SSEClient {
+    /**
+     * 读取 fetch 响应体中的事件流
+     *
+     * @param {Response} response fetch 响应
+     * @param {Function} onEvent 事件回调 ({ type, data, id, retry })
+     * @param {AbortSignal} [signal] 中止信号
+     * @returns {Promise<SSEParser>} 解析器（可读取 lastEventId / retry）
+     */
+    static async read(response, onEvent, signal = null) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        const parser = new SSEParser(onEvent);
+
+        const onAbort = () => reader.cancel().catch(() => {});
+        if (signal) {
+            signal.addEventListener('abort', onAbort);
+        }
+
+        try {
+            while (true) {
+                const { done, value } = await reader.read();
+                if (signal?.aborted) {
+                    throw new DOMException('The operation was aborted.', 'AbortError');
+                }
+                if (done) break;
+                parser.feed(decoder.decode(value, { stream: true }));
+            }
+            parser.feed(decoder.decode());
+            parser.end();
+        } finally {
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+        }
+
+        return parser;
+    }
+
+    /**
+     * 发起请求并读取事件流
+     *
+     * @param {string} url 请求地址
+     * @param {Object} options
+     * @param {string} [options.method='POST'] 请求方法
+     * @param {Object} [options.headers] 额外请求头
+     * @param {Object|string} [options.body] 请求体（对象会序列化为 JSON）
+     * @param {AbortSignal} [options.signal] 中止信号
+     * @param {Function} options.onEvent 事件回调
+     * @param {Function} [options.onOpen] 收到响应头后的回调
+     * @returns {Promise<SSEParser>}
+     */
+    static async fetch(url, options = {}) {
+        const { method = 'POST', headers = {}, body, signal = null, onEvent, onOpen } = options;
+
+        const requestHeaders = { 'Accept': 'text/event-stream', ...headers };
+        let requestBody = body;
+        if (body !== undefined && body !== null && typeof body !== 'string') {
+            requestHeaders['Content-Type'] = requestHeaders['Content-Type'] || 'application/json';
+            requestBody = JSON.stringify(body);
+        }
+
+        const response = await fetch(url, {
+            method: method,
+            headers: requestHeaders,
+            body: requestBody,
+            signal: signal,
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        if (onOpen) {
+            onOpen(response);
+        }
+
+        return SSEClient.read(response, onEvent, signal);
+    }
+
+    /**
+     * 发起请求并读取事件流，断线后自动重连
+     *
+     * 重连时带上 Last-Event-ID 请求头，由服务端从断点继续发送；
+     * 未收到过事件 ID 的流无法续接，不会重连。
+     * 重连间隔按指数退避，服务端下发 retry 时以其为基础间隔。
+     *
+     * @param {string} url 请求地址
+     * @param {Object} options 同 fetch()，另外支持：
+     * @param {number} [options.maxRetries=5] 最大重连次数
+     * @param {number} [options.retryDelay=1000] 基础重连间隔（毫秒）
+     * @param {number} [options.maxRetryDelay=16000] 最大重连间隔（毫秒）
+     * @param {Function} [options.isComplete] 流是否已正常结束；返回 false 时连接关闭视为断线
+     * @param {Function} [options.shouldRetry] 是否重连 (error) => boolean
+     * @param {Function} [options.onRetry] 重连前的回调 (attempt, delay, error)
+     * @returns {Promise<string>} 最后一个事件 ID
+     */
+    static async stream(url, options = {}) {
+        const {
+            headers = {},
+            signal = null,
+            onEvent,
+            maxRetries = 5,
+            retryDelay = 1000,
+            maxRetryDelay = 16000,
+            isComplete = () => true,
+            shouldRetry = () => true,
+            onRetry,
+        } = options;
+
+        let lastEventId = '';
+        let serverRetry = null;
+        let attempt = 0;
+
+        const handleEvent = (event) => {
+            lastEventId = event.id;
+            if (event.retry !== null) serverRetry = event.retry;
+            attempt = 0;
+            onEvent(event);
+        };
+
+        while (true) {
+            try {
+                const requestHeaders = lastEventId ? { ...headers, 'Last-Event-ID': lastEventId } : headers;
+                await SSEClient.fetch(url, { ...options, headers: requestHeaders, onEvent: handleEvent });
+                if (isComplete()) return lastEventId;
+                throw new Error('连接意外关闭');
+            } catch (error) {
+                if (error.name === 'AbortError' || signal?.aborted) throw error;
+                if (!lastEventId || attempt >= maxRetries || !shouldRetry(error)) throw error;
+
+                const delay = Math.min((serverRetry ?? retryDelay) * 2 ** attempt, maxRetryDelay);
+                attempt++;
+                if (onRetry) onRetry(attempt, delay, error);
+                await SSEClient.sleep(delay, signal);
+            }
+        }
+    }
+
+    /**
+     * 可中止的等待
+     */
+    static sleep(ms, signal = null) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(new DOMException('The operation was aborted.', 'AbortError'));
+                return;
+            }
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(new DOMException('The operation was aborted.', 'AbortError'));
+            };
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+}
+
+// 导出（兼容 ES 模块和 CommonJS）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SSEParser, SSEClient };
+}